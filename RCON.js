@@ -0,0 +1,129 @@
+const net = require("node:net");
+
+// Packet types of the Source RCON protocol
+const TYPE_COMMAND = 2;
+const TYPE_LOGIN = 3;
+
+// How long to wait for a response before giving up, in milliseconds
+const TIMEOUT = 5000;
+
+/**
+ * Minimal client for the Source RCON protocol, as used by Minecraft
+ * servers. Connects and authenticates lazily, on the first command,
+ * and again after the connection is lost.
+ */
+module.exports = class RCON {
+
+  constructor (host, port, password) {
+    this.host = host;
+    this.port = port;
+    this.password = password;
+    this.socket = null;
+    this.buffer = Buffer.alloc(0);
+    this.lastId = 0;
+    this.pending = new Map();
+  }
+
+  // Opens the connection and authenticates, unless already connected
+  async connect () {
+    if (this.socket) return;
+
+    const socket = await new Promise((resolve, reject) => {
+      const socket = net.createConnection(this.port, this.host, () => {
+        socket.off("error", reject);
+        resolve(socket);
+      });
+      socket.once("error", reject);
+    });
+
+    socket.on("data", data => this.receive(data));
+    socket.on("error", () => socket.destroy());
+    socket.on("close", () => {
+      if (this.socket === socket) this.socket = null;
+      this.buffer = Buffer.alloc(0);
+      this.rejectAll(new Error("RCON connection closed"));
+    });
+    this.socket = socket;
+
+    try {
+      await this.send(TYPE_LOGIN, this.password);
+    } catch (e) {
+      this.close();
+      throw e;
+    }
+  }
+
+  // Sends a packet, resolving with the body of its response
+  send (type, body) {
+    const id = ++this.lastId;
+    const payload = Buffer.from(body, "utf8");
+
+    // Length, request ID, type, body, and two null terminators
+    const packet = Buffer.alloc(14 + payload.length);
+    packet.writeInt32LE(10 + payload.length, 0);
+    packet.writeInt32LE(id, 4);
+    packet.writeInt32LE(type, 8);
+    payload.copy(packet, 12);
+
+    return new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error("RCON request timed out"));
+      }, TIMEOUT);
+      this.pending.set(id, { resolve, reject, timeout });
+      this.socket.write(packet);
+    });
+  }
+
+  // Parses incoming packets and resolves their pending requests
+  receive (data) {
+    this.buffer = Buffer.concat([this.buffer, data]);
+
+    while (this.buffer.length >= 4) {
+      const length = this.buffer.readInt32LE(0);
+      if (this.buffer.length < length + 4) break;
+
+      const id = this.buffer.readInt32LE(4);
+      const body = this.buffer.toString("utf8", 12, length + 2);
+      this.buffer = this.buffer.subarray(length + 4);
+
+      // A request ID of -1 signals failed authentication
+      if (id === -1) {
+        this.rejectAll(new Error("RCON authentication failed"));
+        continue;
+      }
+
+      const request = this.pending.get(id);
+      if (!request) continue;
+      this.pending.delete(id);
+      clearTimeout(request.timeout);
+      request.resolve(body);
+    }
+  }
+
+  rejectAll (error) {
+    for (const request of this.pending.values()) {
+      clearTimeout(request.timeout);
+      request.reject(error);
+    }
+    this.pending.clear();
+  }
+
+  /**
+   * Runs a command on the server.
+   *
+   * @param {string} command - Command to run (without leading slash)
+   * @returns {string} The server's response
+   */
+  async command (command) {
+    await this.connect();
+    return await this.send(TYPE_COMMAND, command);
+  }
+
+  close () {
+    if (!this.socket) return;
+    this.socket.destroy();
+    this.socket = null;
+  }
+
+}
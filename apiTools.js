@@ -0,0 +1,151 @@
+const path = require("node:path");
+
+const { mapping } = require("./worldGenTools.js");
+
+// Response streams of clients subscribed to events
+const eventClients = new Set();
+
+// Returns a JSON-friendly representation of a `mapping` entry
+function formatEntry (entry, parentDepth) {
+  return {
+    pos: entry.pos.toArray(),
+    block: entry.block,
+    path: entry.file.path,
+    shortPath: entry.file.getShortPath(parentDepth),
+    size: entry.file.size
+  };
+}
+
+function jsonResponse (data, status = 200) {
+  return Response.json(data, { status });
+}
+
+/**
+ * Sends an event to all clients subscribed to `/events`.
+ *
+ * @param {string} type - Event name, e.g. "removal"
+ * @param {Object} data - JSON-serializable event data
+ */
+function emitEvent (type, data) {
+  const message = `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+  for (const controller of eventClients) {
+    try {
+      controller.enqueue(message);
+    } catch {
+      eventClients.delete(controller);
+    }
+  }
+}
+
+/**
+ * Starts a local HTTP server for querying and controlling the session.
+ * Provides the following endpoints:
+ *
+ * GET  /lookup?x=&y=&z=  `mapping` entry of the block at a position
+ * GET  /locate?path=     `mapping` entry of a file
+ * GET  /groups           File count and total size per terrain group
+ * GET  /events           Server-sent events stream of block removals
+ * POST /save             Writes `mapping` to disk
+ *
+ * @param {number} port - Port to listen on (localhost only)
+ * @param {number} parentDepth - Depth at which directories are grouped
+ * @param {function|null} saveMapping - Async function which writes `mapping` to disk,
+ *                                      or null if progress isn't being saved
+ *
+ * @returns {Server} Bun server instance
+ */
+function startServer (port, parentDepth, saveMapping) {
+
+  const routes = {
+
+    "GET /lookup": function (url) {
+      const [x, y, z] = ["x", "y", "z"].map(c => Math.floor(Number(url.searchParams.get(c))));
+      if ([x, y, z].some(c => isNaN(c))) {
+        return jsonResponse({ error: "Expected numeric x, y and z parameters" }, 400);
+      }
+      const entry = mapping[`${x},${y},${z}`];
+      if (!entry) return jsonResponse({ error: "No file associated with this block" }, 404);
+      return jsonResponse(formatEntry(entry, parentDepth));
+    },
+
+    "GET /locate": function (url) {
+      const query = url.searchParams.get("path");
+      if (!query) return jsonResponse({ error: "Expected path parameter" }, 400);
+      const fullPath = path.resolve(query);
+      for (const key in mapping) {
+        if (mapping[key].file.path !== fullPath) continue;
+        return jsonResponse(formatEntry(mapping[key], parentDepth));
+      }
+      return jsonResponse({ error: "File is not mapped to a block" }, 404);
+    },
+
+    "GET /groups": function () {
+      const groups = {};
+      for (const key in mapping) {
+        const { file } = mapping[key];
+        const parent = file.getShortParent(parentDepth);
+        if (!(parent in groups)) groups[parent] = { path: parent, files: 0, size: 0 };
+        groups[parent].files ++;
+        groups[parent].size += file.size;
+      }
+      return jsonResponse(Object.values(groups).sort((a, b) => b.size - a.size));
+    },
+
+    "GET /events": function (url, request) {
+      let client;
+      const stream = new ReadableStream({
+        start (controller) {
+          client = controller;
+          eventClients.add(controller);
+          controller.enqueue(": connected\n\n");
+        },
+        cancel () {
+          eventClients.delete(client);
+        }
+      });
+      request.signal.addEventListener("abort", () => eventClients.delete(client));
+      return new Response(stream, {
+        headers: {
+          "Content-Type": "text/event-stream",
+          "Cache-Control": "no-cache"
+        }
+      });
+    },
+
+    "POST /save": async function () {
+      if (!saveMapping) return jsonResponse({ error: "Progress saving is disabled" }, 409);
+      await saveMapping();
+      return jsonResponse({ saved: Object.keys(mapping).length });
+    }
+
+  };
+
+  return Bun.serve({
+    port,
+    hostname: "127.0.0.1",
+    // Event streams are expected to stay idle for long periods
+    idleTimeout: 0,
+    async fetch (request, server) {
+      // Refuse pages on other sites that reach us through DNS rebinding
+      const host = request.headers.get("host");
+      if (host !== `127.0.0.1:${server.port}` && host !== `localhost:${server.port}`) {
+        return jsonResponse({ error: "Unexpected Host header" }, 403);
+      }
+      const url = new URL(request.url);
+      const route = routes[`${request.method} ${url.pathname}`];
+      if (!route) return jsonResponse({ error: "Not found" }, 404);
+      try {
+        return await route(url, request);
+      } catch (e) {
+        console.error(`API request to "${url.pathname}" failed:\n`, e);
+        return jsonResponse({ error: e.message }, 500);
+      }
+    }
+  });
+
+}
+
+module.exports = {
+  startServer,
+  emitEvent
+};
@@ -0,0 +1,72 @@
+const fs = require("node:fs");
+const path = require("node:path");
+
+/**
+ * Appends a record to a world's audit log. Each record in the log
+ * has the following format:
+ * {
+ *  time: number,
+ *  pos: [number, number, number],
+ *  block: string,
+ *  replacement: string,
+ *  path: string,
+ *  size: number,
+ *  action: "reported" | "held" | "pending" | "moved" | "quarantined" | "deleted" | "refused" | "failed",
+ *  killed?: number[],
+ *  reason?: string,
+ *  error?: string
+ * }
+ *
+ * @param {string} auditPath - Path to the world's audit log
+ * @param {Object} record - Record to append
+ */
+function appendRecord (auditPath, record) {
+  fs.mkdirSync(path.dirname(auditPath), { recursive: true });
+  fs.appendFileSync(auditPath, JSON.stringify(record) + "\n");
+}
+
+/**
+ * Reads all records from a world's audit log.
+ *
+ * @param {string} auditPath - Path to the world's audit log
+ * @returns {Object[]} Array of audit records, oldest first
+ */
+function readRecords (auditPath) {
+  if (!fs.existsSync(auditPath)) return [];
+  const records = [];
+  const lines = fs.readFileSync(auditPath, "utf8").split("\n");
+  for (const line of lines) {
+    if (!line) continue;
+    try {
+      records.push(JSON.parse(line));
+    } catch {
+      // Skip lines cut short by an interrupted write
+    }
+  }
+  return records;
+}
+
+/**
+ * Finds removals which were only reported, or held or pending and never
+ * resolved, and whose files still exist. Only the latest record of each file is
+ * considered.
+ *
+ * @param {string} auditPath - Path to the world's audit log
+ * @returns {Object[]} Audit records of pending removals
+ */
+function getPendingRemovals (auditPath) {
+  const latest = new Map();
+  for (const record of readRecords(auditPath)) {
+    latest.set(record.path, record);
+  }
+  return [...latest.values()].filter(c => (
+    ["reported", "held", "pending", "failed"].includes(c.action) &&
+    fs.existsSync(c.path)
+  ));
+}
+
+module.exports = {
+  appendRecord,
+  readRecords,
+  getPendingRemovals
+};
@@ -22,8 +22,26 @@ class MappedFile {
     return `${pathStart}${pathEllipses}${path.sep}${pathFile}`;
   }
 
+  getSizeString () {
+    return formatSize(this.size);
+  }
+
+}
+
+// Returns a human-readable representation of a size in bytes
+function formatSize (bytes) {
+  const units = ["B", "KB", "MB", "GB", "TB"];
+  let size = bytes, unit = 0;
+  while (size >= 1024 && unit < units.length - 1) {
+    size /= 1024;
+    unit ++;
+  }
+  return unit === 0 ? `${size} B` : `${size.toFixed(1)} ${units[unit]}`;
 }
 
+// Directories which failed to be read, to avoid repeating warnings on rescans
+const unreadablePaths = new Set();
+
 /**
  * Builds an array of files via depth-first search, starting with an input path.
  *
@@ -60,12 +78,49 @@ function buildFileList (startPath, blacklist = [], list = [], depth = 0) {
     }
 
   } catch (error) {
-    console.warn("Failed to read directory:", startPath);
+    if (!unreadablePaths.has(startPath)) {
+      console.warn("Failed to read directory:", startPath);
+      unreadablePaths.add(startPath);
+    }
   }
   return list;
 }
 
+/**
+ * Creates a new file, either empty or as a copy of a template file.
+ * Fails if a file already exists at the given path.
+ *
+ * @param {string} fullPath - Path of the file to create
+ * @param {number} depth - Depth from the scan's starting directory
+ * @param {string|null} [template=null] - Path of a file to copy contents from
+ *
+ * @return {MappedFile} The created file
+ */
+function createFile (fullPath, depth, template = null) {
+  if (template) {
+    fs.copyFileSync(template, fullPath, fs.constants.COPYFILE_EXCL);
+  } else {
+    fs.writeFileSync(fullPath, "", { flag: "wx" });
+  }
+  const size = fs.statSync(fullPath).size;
+  return new MappedFile(fullPath, size, depth);
+}
+
+// Moves a file, falling back to copying if crossing filesystems
+function moveFile (from, to) {
+  try {
+    fs.renameSync(from, to);
+  } catch (e) {
+    if (e.code !== "EXDEV") throw e;
+    fs.copyFileSync(from, to);
+    fs.unlinkSync(from);
+  }
+}
+
 module.exports = {
   MappedFile,
-  buildFileList
+  formatSize,
+  buildFileList,
+  createFile,
+  moveFile
 };
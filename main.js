@@ -1,19 +1,26 @@
 const fs = require("node:fs");
 const path = require("node:path");
 const os = require("node:os");
+const readline = require("node:readline");
 const clipboard = require("clipboardy");
 const { $ } = require("bun");
 
 const { promisify } = require("node:util");
 const zlib = require("node:zlib");
 const unzip = promisify(zlib.unzip);
-const deflate = promisify(zlib.deflate);
 
 const world = require("./parseWorld.js");
 const fileTools = require("./fileTools.js");
 const procTools = require("./procTools.js");
 const worldGenTools = require("./worldGenTools.js");
+const trashTools = require("./trashTools.js");
 const Vector = require("./Vector.js");
+const RCON = require("./RCON.js");
+const apiTools = require("./apiTools.js");
+const mappingTools = require("./mappingTools.js");
+const auditTools = require("./auditTools.js");
+const protectTools = require("./protectTools.js");
+const policyTools = require("./policyTools.js");
 
 /**
  * Queries for an optional command-line argument or flag.
@@ -35,28 +42,130 @@ const defaultParentDepth = process.platform === "win32" ? 2 : 3;
 
 // Read command-line parameters
 let worldName = process.argv[2];
+const command = process.argv[3]?.startsWith("--") ? null : process.argv[3];
+// Arguments of the command, up until the first option
+const firstOption = process.argv.findIndex((c, i) => i > 3 && c.startsWith("--"));
+const commandArgs = command ? process.argv.slice(4, firstOption === -1 ? undefined : firstOption) : [];
 const debug = queryArgument("debug");
+const noSigns = queryArgument("no-signs");
 const rootPath = queryArgument("path", false) || defaultRoot;
 const parentDepth = Number(queryArgument("depth", false)) || defaultParentDepth;
 const noProgress = queryArgument("no-progress");
+const seedString = queryArgument("seed", false);
 const blacklist = queryArgument("blacklist") ? queryArgument("blacklist", false).split(";") : [];
 const timeString = (new Date()).toLocaleTimeString("en-US", { hour12: false }).slice(0, -3);
 const allowDelete = queryArgument("allow-delete", false) === timeString;
+const quarantine = queryArgument("quarantine");
+const place = queryArgument("place");
+const placeTemplate = queryArgument("place-template", false) || null;
+const moveWindow = Number(queryArgument("move", false)) || 0;
+const palettePath = queryArgument("palette", false);
+const watchInterval = Number(queryArgument("watch", false)) || 0;
+const rconAddress = queryArgument("rcon", false);
+const rconPassword = queryArgument("rcon-password", false) || "";
+const player = queryArgument("player", false) || "@p";
+const lookupInterval = Number(queryArgument("lookup-interval", false)) || 0;
+const playerData = queryArgument("player-data");
+const apiPort = Number(queryArgument("api", false)) || 0;
+const protectGlobs = queryArgument("protect") ? queryArgument("protect", false).split(";") : [];
+const protectGit = queryArgument("protect-git");
+const protectRecent = Number(queryArgument("protect-recent", false)) || 0;
+const protectSize = Number(queryArgument("protect-size", false)) || 0;
+const protectOthers = queryArgument("protect-others");
+const maxRemovals = Number(queryArgument("max-removals", false)) || 64;
+const maxGroupRemovals = Number(queryArgument("max-group-removals", false)) || 32;
+const removalWindow = Number(queryArgument("removal-window", false)) || 10;
+const policyPath = queryArgument("removal-policy", false);
+const killPolicy = queryArgument("kill-policy", false) || "kill";
+const killGrace = queryArgument("kill-grace") ? Number(queryArgument("kill-grace", false)) || 0 : 5;
+const neverKill = queryArgument("never-kill") ? queryArgument("never-kill", false).split(";") : [];
 // Validate parameters
 if (!worldName || !rootPath || !parentDepth) {
   console.error(
-`Usage: SaplingFS <world> [options]
+`Usage: SaplingFS <world> [command] [options]
+
+Commands:
+    restore [path...]       Moves quarantined files (optionally only those within the
+                            given paths) back to where they were.
+    purge                   Permanently deletes quarantined files.
+      --older-than <days>   Only purges files quarantined at least this many days ago.
+    locate <path|glob>      Prints the positions of blocks of matching files. For a single
+                            match, copies a command for teleporting to it to the clipboard.
+                            Can also be typed into the console while running, where adding
+                            --mark places a temporary glowstone column above each match (RCON).
+    select <x1 y1 z1 x2 y2 z2>  Lists all files within a cuboid, with their total size and a
+                            breakdown by directory.
+    select <x y z> --radius <r>  Same as above, but within a sphere.
+      --export <path>       Also writes the list to a file, as JSON if it ends with ".json".
+                            Can also be typed into the console while running, where leaving out
+                            the coordinates uses the next positions teleported to with F3+C.
+    apply [path|glob...]    Carries out removals which were only reported, or left unresolved
+                            (held or waiting for --move), in earlier sessions, using --quarantine
+                            or --allow-delete. Asks for confirmation of each.
+      --replaced-by <block> Only applies removals of blocks replaced by this block.
+      --yes                 Applies all matching removals without asking.
 
 Options:
     --debug                 Generates colorful terrain to help debug directory grouping.
+    --no-signs              Doesn't label directory groups with signs when generating terrain.
     --path <string>         Root path from which to look for files.
     --depth <number>        Depth from absolute root at which to split directory groups.
     --no-progress           Don't save/load current world progress to/from disk.
+    --seed <value>          Seed for terrain generation. The same files and seed always generate
+                            the same terrain. Defaults to a random seed, which is printed and
+                            saved along with the world progress.
     --blacklist <path;...>  Semicolon-separted paths to blacklist from the scan.
+    --watch <seconds>       Rescans files at this interval, adding blocks for new files and
+                            removing blocks of deleted files. Takes effect when the game
+                            reloads the affected chunks, or right away in loaded chunks with --rcon.
+    --rcon <host:port>      Looks up blocks by querying the player's view over RCON, instead of
+                            reading F3+C output from the clipboard. Press Enter to look up.
+    --rcon-password <pw>    Password for RCON, as set in server.properties.
+    --player <name>         Player to look up blocks for over RCON. Defaults to "@p".
+    --lookup-interval <s>   Looks up blocks over RCON at this interval instead of on Enter.
+    --player-data           Looks up blocks whenever the game saves player positions to the world
+                            (e.g. when pausing), instead of reading F3+C output from the clipboard.
+                            Works for every player on a server world.
+                            With RCON, lookups and removals are also shown to the player in-game.
+    --api <port>            Serves a local HTTP/JSON API on this port, for looking up blocks and
+                            files, reading per-group stats and streaming removal events.
+    --palette <path>        JSON file mapping file extensions or glob patterns to block materials,
+                            e.g. { ".psd": "terracotta", "**/node_modules/**": "moss_block" }.
+    --quarantine            Moves files to a per-world trash directory when blocks are altered.
+                            Takes precedence over --allow-delete, and never kills processes.
+    --place                 Creates files when blocks are placed next to mapped terrain.
+    --place-template <path> File to copy when creating files, instead of creating empty ones.
+    --move <seconds>        Treats a removed block as moved if one like it is placed within
+                            this many seconds, moving its file to where it was placed.
+    --protect <glob;...>    Semicolon-separated glob patterns of files which are never removed.
+                            Patterns without a slash match file names, like "*.pdf".
+    --protect-git           Never removes files inside git repositories.
+    --protect-recent <days> Never removes files modified within this many days.
+    --protect-size <MB>     Never removes files larger than this many megabytes.
+    --protect-others        Never removes files owned by other users.
+                            Protected files generate as bedrock.
+    --max-removals <n>      Pauses removals when more than this many blocks are removed within
+                            the removal window, until confirmed in the console. Defaults to 64.
+    --max-group-removals <n> Same as above, but within a single directory group. Defaults to 32.
+    --removal-window <s>    Length of the removal window in seconds. Defaults to 10.
+    --removal-policy <path> JSON file deciding which replacement blocks count as removal, e.g.
+                            { "remove": ["air"], "ignore": ["water", "lava"], "escalate": ["tnt"],
+                              "resync": { "grass_block": ["dirt"] } }. By default, any replacement
+                            except fluids counts as removal, and natural changes like grass turning
+                            to dirt just update the mapped block.
 
     --allow-delete <hh:mm>  Enables actually deleting files when blocks are altered.
                             For confirmation, requires current system time in 24h format.
-                            WARNING: THIS WILL IRREVERSIBLY DELETE FILES ON YOUR SYSTEM.`);
+                            WARNING: THIS WILL IRREVERSIBLY DELETE FILES ON YOUR SYSTEM.
+    --kill-policy <policy>  What to do with processes holding a file open when deleting it:
+                              kill     Terminates them, then deletes the file (default).
+                              skip     Keeps the file, leaving the processes running.
+                              dry-run  Same as skip, but reports which processes would be killed.
+                            Files open in processes on the never-kill list are always kept.
+    --kill-grace <seconds>  Time to wait for processes to exit before force-killing them.
+                            Defaults to 5.
+    --never-kill <name;...> Semicolon-separated process names to never kill, in addition to
+                            init, system daemons, desktop sessions, and the game itself.`);
   process.exit();
 }
 // Find Minecraft world file path
@@ -72,19 +181,46 @@ if (fs.existsSync(worldName) && fs.lstatSync(worldName).isDirectory()) {
   }
 }
 
-// Back up world data
-const backupWorldPath = path.resolve(worldPath) + "_SaplingFS_backup";
-if (!fs.existsSync(worldPath)) {
-  console.error(`World not found: "${worldPath}"`);
-  process.exit();
-} else if (!fs.existsSync(backupWorldPath)) {
-  console.log(`Creating backup of world "${worldName}"...\n`);
-  fs.cpSync(worldPath, backupWorldPath, { recursive: true });
+const cwd = process.cwd();
+const trashPath = `${cwd}/trash/${worldName}`;
+const auditPath = `${cwd}/audit/${worldName}.jsonl`;
+
+// RCON client, if enabled, used for lookups and in-game messages
+let rcon = null;
+
+// Processes which have already been reported as impossible to inspect
+const deniedProcesses = new Set();
+
+/**
+ * Finds processes holding any of the given files open, warning about
+ * processes which couldn't be inspected due to missing permissions.
+ *
+ * @param {string[]} paths - Absolute paths to files
+ * @returns {Map<string, number[]>} PIDs owning a handle to each file
+ */
+async function lookupHandleOwners (paths) {
+  const { owners, denied } = await procTools.findHandleOwners(paths);
+  const newDenied = denied.filter(c => !deniedProcesses.has(c));
+  if (newDenied.length > 0) {
+    for (const pid of newDenied) deniedProcesses.add(pid);
+    console.warn(`Couldn't check processes ${newDenied.join(", ")} for open files, permission denied.`);
+  }
+  return owners;
 }
 
-// Warn user *very explicitly* of the dangers of --allow-delete
-if (allowDelete) {
-  await new Promise(function (resolve) {
+const { mapping } = worldGenTools;
+
+try { fs.mkdirSync(`${cwd}/mapping`) } catch { }
+const mappingDBPath = `${cwd}/mapping/${worldName}.sqlite`;
+// Mapping file written by older versions, migrated on first load
+const legacyMappingPath = `${cwd}/mapping/${worldName}.json.zlib`;
+
+/**
+ * Warns the user *very explicitly* of the dangers of --allow-delete,
+ * giving them 10 seconds to stop the program.
+ */
+function warnAllowDelete () {
+  return new Promise(function (resolve) {
 
     console.error("WARNING: --allow-delete is enabled.");
     console.error("Real files on your computer are at risk.\n");
@@ -103,43 +239,50 @@ if (allowDelete) {
   });
 }
 
-const { mapping } = worldGenTools;
+/**
+ * Writes all of `mapping` to disk at once. Individual changes are
+ * recorded as they happen via `mappingTools`, so this is only needed
+ * after generating terrain, or to compact the store.
+ */
+async function writeMappingToDisk () {
+  mappingTools.openStore(mappingDBPath);
+  mappingTools.saveMapping(mapping);
+}
 
-const cwd = process.cwd();
-try { fs.mkdirSync(`${cwd}/mapping`) } catch { }
-const mappingJSONPath = `${cwd}/mapping/${worldName}.json.zlib`;
+// Checks whether a block-file mapping has been saved for this world
+function mappingExists () {
+  return fs.existsSync(mappingDBPath) || fs.existsSync(legacyMappingPath);
+}
 
-// Writes `mapping` data to disk, allowing for interrupted sessions
-async function writeMappingToDisk () {
+// Reads `mapping` data from disk, migrating it from the legacy format if needed
+async function readMappingFromDisk () {
 
-  const compactMapping = structuredClone(mapping);
-  for (const key in compactMapping) {
-    const { pos, file } = compactMapping[key];
-    compactMapping[key].pos = [pos.x, pos.y, pos.z];
-    compactMapping[key].file = [file.path, file.size, file.depth];
-  }
+  if (fs.existsSync(legacyMappingPath) && !fs.existsSync(mappingDBPath)) {
 
-  const json = JSON.stringify(compactMapping);
-  const compressed = await deflate(json);
-  await Bun.write(mappingJSONPath, compressed);
+    console.log("Migrating block-file mapping to new format...");
+    const compressed = await Bun.file(legacyMappingPath).bytes();
+    const json = JSON.parse(await unzip(compressed));
 
-}
+    for (const key in json) {
+      mapping[key] = {
+        block: json[key].block,
+        file: new fileTools.MappedFile(...json[key].file),
+        pos: new Vector(...json[key].pos)
+      };
+    }
 
-if (!noProgress && fs.existsSync(mappingJSONPath)) {
+    await writeMappingToDisk();
+    fs.renameSync(legacyMappingPath, legacyMappingPath + ".old");
 
-  console.log("Restoring block-file mapping from file...");
-  const compressed = await Bun.file(mappingJSONPath).bytes();
-  const json = JSON.parse(await unzip(compressed));
+  } else {
+    mappingTools.openStore(mappingDBPath);
+    mappingTools.loadMapping(mapping);
+  }
 
   const [mins, maxs] = worldGenTools.terrainBounds;
 
-  for (const key in json) {
-    const pos = new Vector(...json[key].pos);
-    mapping[key] = {
-      block: json[key].block,
-      file: new fileTools.MappedFile(...json[key].file),
-      pos
-    };
+  for (const key in mapping) {
+    const { pos } = mapping[key];
     if (pos.x < mins.x) mins.x = pos.x;
     else if (pos.x > maxs.x) maxs.x = pos.x;
     if (pos.y < mins.y) mins.y = pos.y;
@@ -148,7 +291,101 @@ if (!noProgress && fs.existsSync(mappingJSONPath)) {
     else if (pos.z > maxs.z) maxs.z = pos.z;
   }
 
+}
+
+protectTools.setProtectionRules({
+  globs: protectGlobs,
+  gitRepos: protectGit,
+  recentDays: protectRecent,
+  largerThanMB: protectSize,
+  otherUsers: protectOthers
+});
+
+if (!["kill", "skip", "dry-run"].includes(killPolicy)) {
+  console.error(`Unknown kill policy: "${killPolicy}"`);
+  process.exit();
+}
+procTools.setKillPolicy({ neverKill, gracePeriod: killGrace * 1000 });
+
+if (policyPath) {
+  const policy = JSON.parse(fs.readFileSync(policyPath, "utf8"));
+  policyTools.setRemovalPolicy(policy);
+}
+
+// Handle commands which don't require the world to be loaded
+if (command === "restore") {
+  const { restored, skipped, failed } = trashTools.restoreFiles(trashPath, commandArgs);
+  for (const record of restored) {
+    console.log(`Restored "${record.path}"`);
+  }
+  for (const record of skipped) {
+    console.warn(`Skipped "${record.path}", a file already exists at this path.`);
+  }
+  for (const { record, error } of failed) {
+    console.error(`Failed to restore "${record.path}":\n`, error);
+  }
+  console.log(`Done, restored ${restored.length} files.`);
+  process.exit();
+} else if (command === "purge") {
+  // Refuse to guess, as a mistyped age would otherwise purge everything
+  const olderThanString = queryArgument("older-than", false);
+  if (olderThanString !== false && !/^\d+(\.\d+)?$/.test(olderThanString || "")) {
+    console.error(`Expected a number of days after --older-than, got "${olderThanString ?? ""}". Nothing was purged.`);
+    process.exit();
+  }
+  const olderThan = Number(olderThanString) || 0;
+  const purged = trashTools.purgeFiles(trashPath, olderThan * 1000 * 60 * 60 * 24);
+  console.log(`Done, purged ${purged.length} files.`);
+  process.exit();
+} else if (command === "locate") {
+  if (!mappingExists()) {
+    console.error(`No block-file mapping found for world "${worldName}".`);
+    process.exit();
+  }
+  await readMappingFromDisk();
+  await reportLocatedFiles(commandArgs.join(" "));
+  process.exit();
+} else if (command === "select") {
+  if (!mappingExists()) {
+    console.error(`No block-file mapping found for world "${worldName}".`);
+    process.exit();
+  }
+  await readMappingFromDisk();
+  const radius = queryArgument("radius") ? Number(queryArgument("radius", false)) : null;
+  const coords = commandArgs.map(c => Number(c));
+  if (coords.length === 0 || !startSelection(coords, radius, queryArgument("export", false) || null)) {
+    console.error("Expected either two corners (x1 y1 z1 x2 y2 z2), or a center (x y z) and --radius.");
+  }
+  process.exit();
+} else if (command === "apply") {
+  // Confirming each removal, or passing --yes, doesn't replace the warning
+  if (allowDelete) await warnAllowDelete();
+  await applyRemovals();
+  process.exit();
+} else if (command) {
+  console.error(`Unknown command: "${command}"`);
+  process.exit();
+}
+
+// Back up world data
+const backupWorldPath = path.resolve(worldPath) + "_SaplingFS_backup";
+if (!fs.existsSync(worldPath)) {
+  console.error(`World not found: "${worldPath}"`);
+  process.exit();
+} else if (!fs.existsSync(backupWorldPath)) {
+  console.log(`Creating backup of world "${worldName}"...\n`);
+  fs.cpSync(worldPath, backupWorldPath, { recursive: true });
+}
+
+if (allowDelete) await warnAllowDelete();
+
+if (!noProgress && mappingExists()) {
+
+  console.log("Restoring block-file mapping from file...");
+  await readMappingFromDisk();
   console.log(`Done, loaded ${Object.keys(mapping).length} blocks.`);
+  const savedSeed = mappingTools.getMeta("seed");
+  if (savedSeed !== null) console.log(`Terrain was generated with seed ${savedSeed}.`);
 
 } else {
 
@@ -156,12 +393,25 @@ if (!noProgress && fs.existsSync(mappingJSONPath)) {
   const fileList = fileTools.buildFileList(path.resolve(rootPath), blacklist);
   console.log(`Found ${fileList.length} files.\n`);
 
-  console.log(`Generating terrain...`);
-  await worldGenTools.buildRegionData(fileList, parentDepth, worldPath, debug);
+  if (palettePath) {
+    const palette = JSON.parse(fs.readFileSync(palettePath, "utf8"));
+    worldGenTools.setMaterialPalette(palette);
+  }
+
+  // Seeds which fit in 32 bits are used as they are, anything else is hashed
+  let seed;
+  if (!seedString) seed = Math.floor(Math.random() * 2 ** 32);
+  else if (/^\d+$/.test(seedString) && Number(seedString) < 2 ** 32) seed = Number(seedString);
+  else seed = Bun.hash.crc32(seedString);
+  worldGenTools.setSeed(seed);
+
+  console.log(`Generating terrain with seed ${seed}...`);
+  await worldGenTools.buildRegionData(fileList, parentDepth, worldPath, debug, !noSigns);
   console.log(`Done, ${fileList.length} files left unallocated.\n`);
 
   if (!noProgress) {
     await writeMappingToDisk();
+    mappingTools.setMeta("seed", seed);
   }
 
 }
@@ -244,42 +494,1145 @@ function formatMappingString (entry) {
   return `"${entry.block}" at (${positionString}): "${shortPath}"`
 }
 
-console.log("Listening for clipboard changes...");
+/**
+ * Creates a function which checks whether a file path matches a path
+ * or glob pattern. Plain paths also match all files within them, if
+ * they're directories. Like in the material palette, patterns without
+ * a slash match file names, and all other patterns match full paths.
+ *
+ * @param {string} query - File path, directory path, or glob pattern
+ * @returns {function(string): boolean} Path matching function
+ */
+function createPathMatcher (query) {
+  if (/[*?[{]/.test(query)) {
+    if (!query.includes("/")) {
+      const glob = new Bun.Glob(query);
+      return filePath => glob.match(path.basename(filePath));
+    }
+    // Relative patterns are relative to the working directory
+    const pattern = query.startsWith("*") || path.isAbsolute(query) ? query : path.resolve(query);
+    const glob = new Bun.Glob(pattern.replaceAll(path.sep, "/"));
+    return filePath => glob.match(filePath.replaceAll(path.sep, "/"));
+  }
+  const fullPath = path.resolve(query);
+  return filePath => filePath === fullPath || filePath.startsWith(fullPath + path.sep);
+}
+
+/**
+ * Finds the `mapping` entries of files matching a path or glob pattern.
+ *
+ * @param {string} query - File path, directory path, or glob pattern
+ * @returns {Object[]} Matching `mapping` entries
+ */
+function locateFiles (query) {
+  const matches = [];
+  const isMatch = createPathMatcher(query);
+  for (const key in mapping) {
+    if (isMatch(mapping[key].file.path)) matches.push(mapping[key]);
+  }
+  return matches;
+}
+
+/**
+ * Carries out removals which were only reported, or left unresolved,
+ * in earlier sessions, as listed in the audit log. Asks for confirmation
+ * of each removal, unless --yes is given. Removals can be filtered by
+ * path or glob pattern, and by the block which replaced the mapped block.
+ */
+async function applyRemovals () {
+
+  if (!quarantine && !allowDelete) {
+    console.error("Applying removals requires either --quarantine or --allow-delete.");
+    return;
+  }
+
+  const matchers = commandArgs.map(c => createPathMatcher(c));
+  const replacedBy = queryArgument("replaced-by", false);
+  let confirmAll = queryArgument("yes");
+
+  const pending = auditTools.getPendingRemovals(auditPath).filter(c => (
+    (matchers.length === 0 || matchers.some(isMatch => isMatch(c.path))) &&
+    (!replacedBy || world.getBlockName(c.replacement) === world.getBlockName(replacedBy))
+  ));
+  console.log(`Found ${pending.length} pending removals.`);
+
+  let applied = 0;
+  for (const record of pending) {
+
+    const entry = {
+      pos: new Vector(...record.pos),
+      block: record.block,
+      file: new fileTools.MappedFile(record.path, record.size, 0)
+    };
+
+    if (!confirmAll) {
+      const answer = prompt(`Remove ${formatMappingString(entry)}, replaced by "${record.replacement}"? [y/N/a/q]`);
+      const choice = answer?.trim().toLowerCase();
+      if (choice === "q") break;
+      if (choice === "a") confirmAll = true;
+      else if (choice !== "y") continue;
+    }
+
+    const result = await removeBlockFile(entry, record.replacement);
+    if (result.action !== "failed") applied ++;
+
+  }
+
+  console.log(`Done, applied ${applied} removals.`);
+
+}
+
+/**
+ * Prints the blocks of files matching a path or glob pattern. If there's
+ * exactly one match, copies a command for teleporting to it to the clipboard.
+ *
+ * @param {string} query - File path, directory path, or glob pattern
+ * @returns {Object[]} Matching `mapping` entries
+ */
+async function reportLocatedFiles (query) {
+
+  const matches = locateFiles(query);
 
-let clipboardLast = "";
-setInterval(async function () {
+  if (matches.length === 0) {
+    console.log(`No blocks found for "${query}".`);
+    return matches;
+  }
+  for (const entry of matches) {
+    console.log(formatMappingString(entry));
+  }
+  if (matches.length > 1) {
+    console.log(`Found ${matches.length} blocks.`);
+    return matches;
+  }
 
-  const text = await clipboard.default.read();
-  if (text === clipboardLast) return;
-  clipboardLast = text;
+  // Teleport on top of the block, rather than into it
+  const [x, y, z] = matches[0].pos.toArray();
+  const teleport = `/tp @s ${x} ${y + 1} ${z}`;
+  try {
+    await clipboard.default.write(teleport);
+    console.log(`Copied "${teleport}" to clipboard.`);
+  } catch (e) {
+    console.warn("Failed to write to clipboard:\n", e);
+  }
+
+  return matches;
 
-  if (!text.startsWith("/execute in minecraft:overworld run tp @s")) return;
+}
 
-  const [x, y, z, yaw, pitch] = text.split("@s ")[1].split(" ").map(c => Number(c));
+/**
+ * Shows a message to the player in-game, if connected over RCON.
+ *
+ * @param {string} type - "tellraw" to show in chat, "actionbar" to show above the hotbar
+ * @param {Object[]} message - Array of JSON text components
+ */
+function notifyPlayer (type, message) {
+  if (!rcon) return;
+  // Wrap components in an empty parent, so that they don't inherit styles from the first
+  const json = JSON.stringify({ text: "", extra: message });
+  const command = type === "actionbar"
+    ? `title ${player} actionbar ${json}`
+    : `tellraw ${player} ${json}`;
+  rcon.command(command).catch(function (e) {
+    console.error(`RCON notification failed: ${e.message}`);
+  });
+}
+
+// Returns JSON text components describing a block-file mapping
+function formatMappingMessage (entry, color = "white") {
+  const shortPath = entry.file.getShortPath(parentDepth);
+  const details = `${entry.file.getSizeString()}, ${world.getBlockName(entry.block)}`;
+  return [
+    { text: shortPath, color },
+    { text: ` (${details})`, color: "gray" }
+  ];
+}
+
+/**
+ * Finds and reports the file associated with the block a player is
+ * looking at.
+ *
+ * @param {Vector} pos - Player position (at feet level)
+ * @param {number} yaw - Player yaw, in degrees
+ * @param {number} pitch - Player pitch, in degrees
+ *
+ * @returns {Object|null} `mapping` entry or null if nothing was hit
+ */
+function lookupPlayerView (pos, yaw, pitch) {
 
-  const pos = new Vector(x, y + 1.62, z); // Eye position
+  const eye = pos.add(0, 1.62, 0); // Eye position
   const fvec = Vector.fromAngles(yaw, pitch); // Eye forward vector
 
-  const entry = raycast(pos, fvec);
+  const entry = raycast(eye, fvec);
 
   if (!entry) {
     console.log("No file associated with this block.");
+    notifyPlayer("actionbar", [{ text: "No file associated with this block.", color: "gray" }]);
   } else {
     console.log(formatMappingString(entry));
+    notifyPlayer("actionbar", formatMappingMessage(entry));
+  }
+
+  return entry;
+
+}
+
+/**
+ * Finds the `mapping` entries within a cuboid or a sphere.
+ *
+ * @param {Vector} a - One corner of the cuboid, or the center of the sphere
+ * @param {Vector|number} b - Opposite corner of the cuboid, or the radius of the sphere
+ *
+ * @returns {Object[]} `mapping` entries within the area
+ */
+function selectArea (a, b) {
+
+  const matches = [];
+
+  if (typeof b === "number") {
+    for (const key in mapping) {
+      if (mapping[key].pos.sub(a).length() <= b) matches.push(mapping[key]);
+    }
+    return matches;
+  }
+
+  const mins = new Vector(Math.min(a.x, b.x), Math.min(a.y, b.y), Math.min(a.z, b.z));
+  const maxs = new Vector(Math.max(a.x, b.x), Math.max(a.y, b.y), Math.max(a.z, b.z));
+  for (const key in mapping) {
+    const { pos } = mapping[key];
+    if (
+      pos.x >= mins.x && pos.x <= maxs.x &&
+      pos.y >= mins.y && pos.y <= maxs.y &&
+      pos.z >= mins.z && pos.z <= maxs.z
+    ) matches.push(mapping[key]);
+  }
+  return matches;
+
+}
+
+/**
+ * Prints the files within an area, along with their total size and
+ * a breakdown by directory. Optionally exports the list to a file, as
+ * JSON if the file name ends in ".json", otherwise as one path per line.
+ *
+ * @param {Vector} a - See `selectArea`
+ * @param {Vector|number} b - See `selectArea`
+ * @param {string|null} [exportPath=null] - File to export the list to
+ */
+function reportSelection (a, b, exportPath = null) {
+
+  const entries = selectArea(a, b).sort((x, y) => x.file.path.localeCompare(y.file.path));
+  const area = typeof b === "number"
+    ? `within ${b} blocks of (${a.toArray().join(" ")})`
+    : `between (${a.toArray().join(" ")}) and (${b.toArray().join(" ")})`;
+
+  if (entries.length === 0) {
+    console.log(`No files found ${area}.`);
+    return;
+  }
+
+  const directories = {};
+  let totalSize = 0;
+  for (const entry of entries) {
+    console.log(`${entry.file.getSizeString().padStart(10)}  ${formatMappingString(entry)}`);
+    const dir = path.dirname(entry.file.path);
+    if (!(dir in directories)) directories[dir] = { files: 0, size: 0 };
+    directories[dir].files ++;
+    directories[dir].size += entry.file.size;
+    totalSize += entry.file.size;
+  }
+
+  console.log("\nBy directory:");
+  const sorted = Object.entries(directories).sort((x, y) => y[1].size - x[1].size);
+  for (const [dir, { files, size }] of sorted) {
+    console.log(`${fileTools.formatSize(size).padStart(10)}  ${files} files in "${dir}"`);
+  }
+  console.log(`\nFound ${entries.length} files ${area}, ${fileTools.formatSize(totalSize)} in total.`);
+
+  if (!exportPath) return;
+  try {
+    if (exportPath.endsWith(".json")) {
+      const json = entries.map(c => ({ path: c.file.path, size: c.file.size, pos: c.pos.toArray(), block: c.block }));
+      fs.writeFileSync(exportPath, JSON.stringify(json, null, 2));
+    } else {
+      fs.writeFileSync(exportPath, entries.map(c => c.file.path).join("\n") + "\n");
+    }
+    console.log(`Exported list to "${exportPath}".`);
+  } catch (e) {
+    console.error(`Failed to export list to "${exportPath}":\n`, e);
+  }
+
+}
+
+/**
+ * Starts an area selection. Given six coordinates, selects a cuboid.
+ * Given three coordinates and a radius, selects a sphere. Given no
+ * coordinates, the next player positions (e.g. from F3+C) are used
+ * as the corners of a cuboid, or as the center of a sphere.
+ *
+ * @param {number[]} coords - Coordinates of corners or center
+ * @param {number|null} radius - Radius of the sphere, if selecting one
+ * @param {string|null} exportPath - File to export the list to
+ *
+ * @returns {boolean} Whether the arguments were valid
+ */
+function startSelection (coords, radius, exportPath) {
+
+  if (coords.some(c => isNaN(c)) || (radius !== null && !(radius >= 0))) return false;
+
+  if (coords.length === 6 && radius === null) {
+    reportSelection(new Vector(...coords.slice(0, 3)), new Vector(...coords.slice(3)), exportPath);
+  } else if (coords.length === 3 && radius !== null) {
+    reportSelection(new Vector(...coords), radius, exportPath);
+  } else if (coords.length === 0) {
+    pendingSelection = { radius, exportPath, corners: [] };
+    if (radius === null) console.log("Teleport to the first corner of the area (e.g. with F3+C).");
+    else console.log("Teleport to the center of the area (e.g. with F3+C).");
+  } else {
+    return false;
   }
 
-}, 200);
+  return true;
+
+}
+
+// Selection waiting for player positions, see `startSelection`
+let pendingSelection = null;
+
+/**
+ * Handles a player's position and view direction from any lookup
+ * source. Completes a pending area selection if there is one, and
+ * otherwise looks up the block the player is looking at.
+ *
+ * @param {Vector} pos - Player position (at feet level)
+ * @param {number} yaw - Player yaw, in degrees
+ * @param {number} pitch - Player pitch, in degrees
+ */
+function onPlayerView (pos, yaw, pitch) {
+
+  if (!pendingSelection) {
+    lookupPlayerView(pos, yaw, pitch);
+    return;
+  }
+
+  const { radius, exportPath, corners } = pendingSelection;
+  corners.push(new Vector(Math.floor(pos.x), Math.floor(pos.y), Math.floor(pos.z)));
+
+  if (radius !== null) {
+    pendingSelection = null;
+    reportSelection(corners[0], radius, exportPath);
+  } else if (corners.length === 2) {
+    pendingSelection = null;
+    reportSelection(corners[0], corners[1], exportPath);
+  } else {
+    console.log(`First corner set at (${corners[0].toArray().join(" ")}). Teleport to the opposite corner.`);
+  }
+
+}
+
+// Commands which can be typed into the console while running
+const consoleCommands = {};
+readline.createInterface({ input: process.stdin }).on("line", function (line) {
+  const [name, ...args] = line.trim().split(/\s+/);
+  if (name in consoleCommands) {
+    consoleCommands[name](args);
+  } else if (name) {
+    console.warn(`Unknown command: "${name}"`);
+  }
+});
+
+if (rconAddress) {
+
+  const [host, port] = rconAddress.split(":");
+  rcon = new RCON(host || "localhost", Number(port) || 25575, rconPassword);
+
+  // Parses the list in a `data get entity` response, e.g. "[1.5d, 64.0d, 2.0d]"
+  const parseEntityList = function (response) {
+    const match = response.match(/\[(.*)\]/);
+    if (!match) return null;
+    return match[1].split(",").map(c => parseFloat(c));
+  };
+
+  let lastLookup = null;
+  const lookupFromRCON = async function (onlyChanges = false) {
+
+    let position, rotation;
+    try {
+      position = parseEntityList(await rcon.command(`data get entity ${player} Pos`));
+      rotation = parseEntityList(await rcon.command(`data get entity ${player} Rotation`));
+    } catch (e) {
+      console.error(`RCON lookup failed: ${e.message}`);
+      return;
+    }
+
+    if (!position || !rotation) {
+      console.warn(`Player "${player}" not found.`);
+      return;
+    }
+
+    // When polling, only report what the player is looking at when it changes
+    const lookup = position.concat(rotation).join(" ");
+    if (onlyChanges && lookup === lastLookup) return;
+    lastLookup = lookup;
+
+    onPlayerView(new Vector(...position), ...rotation);
+
+  };
+
+  consoleCommands[""] = () => lookupFromRCON();
+  consoleCommands["lookup"] = () => lookupFromRCON();
+
+  if (lookupInterval) {
+    console.log(`Looking up blocks over RCON every ${lookupInterval} seconds...`);
+    setInterval(() => lookupFromRCON(true), lookupInterval * 1000);
+  } else {
+    console.log("Press Enter to look up the block you're looking at over RCON.");
+  }
+
+} else if (playerData) {
+
+  console.log("Watching player data for changes...");
+
+  // Player names by UUID, as cached by servers
+  let playerNames = {};
+  try {
+    const cachePath = path.join(path.dirname(path.resolve(worldPath)), "usercache.json");
+    const cache = JSON.parse(fs.readFileSync(cachePath, "utf8"));
+    for (const { uuid, name } of cache) playerNames[uuid] = name;
+  } catch { }
+
+  const fileTimes = {};
+  const lookupLast = {};
+  setInterval(async function () {
+
+    const files = [path.join(worldPath, "level.dat")];
+    try {
+      for (const name of fs.readdirSync(path.join(worldPath, "playerdata"))) {
+        if (name.endsWith(".dat")) files.push(path.join(worldPath, "playerdata", name));
+      }
+    } catch { }
+
+    for (const file of files) {
+
+      // Only look at files which the game has saved since the last check
+      let mtime;
+      try { mtime = fs.statSync(file).mtimeMs } catch { continue }
+      const firstCheck = !(file in fileTimes);
+      if (fileTimes[file] === mtime) continue;
+      fileTimes[file] = mtime;
+
+      let data;
+      try {
+        data = await world.readPlayerFile(file);
+      } catch (e) {
+        console.warn(`Failed to read player data from "${file}":\n`, e);
+        continue;
+      }
+      if (!data || data.dimension !== "minecraft:overworld") continue;
+
+      // Autosaves rewrite these files even if the player hasn't moved
+      const lookup = data.pos.concat(data.rotation).join(" ");
+      if (lookupLast[file] === lookup) continue;
+      lookupLast[file] = lookup;
+      if (firstCheck) continue;
+
+      const uuid = path.basename(file, ".dat");
+      const name = file.endsWith("level.dat") ? "Player" : (playerNames[uuid] || uuid);
+      console.log(`${name} is looking at:`);
+      onPlayerView(new Vector(...data.pos), ...data.rotation);
+
+    }
+
+  }, 1000);
+
+} else {
+
+  console.log("Listening for clipboard changes...");
+
+  let clipboardLast = "";
+  setInterval(async function () {
+
+    const text = await clipboard.default.read();
+    if (text === clipboardLast) return;
+    clipboardLast = text;
+
+    if (!text.startsWith("/execute in minecraft:overworld run tp @s")) return;
+
+    const [x, y, z, yaw, pitch] = text.split("@s ")[1].split(" ").map(c => Number(c));
+    onPlayerView(new Vector(x, y, z), yaw, pitch);
+
+  }, 200);
+
+}
+
+// Positions occupied by markers, which shouldn't count as placed blocks
+const markerBlocks = new Set();
+const markerHeight = 24, markerDuration = 60;
+const maxMarkers = 16;
+
+/**
+ * Temporarily marks a block with a column of glowstone above it,
+ * filling only air. Requires RCON.
+ *
+ * @param {Vector} pos - Position of the block to mark
+ */
+async function markBlock (pos) {
+
+  const [x, y, z] = pos.toArray();
+  const column = `${x} ${y + 1} ${z} ${x} ${y + markerHeight} ${z}`;
+
+  const keys = [];
+  for (let i = 1; i <= markerHeight; i ++) {
+    keys.push(pos.add(0, i, 0).toString());
+  }
+  for (const key of keys) markerBlocks.add(key);
+
+  try {
+    await rcon.command(`fill ${column} glowstone replace air`);
+  } catch (e) {
+    console.error(`Failed to place marker: ${e.message}`);
+    for (const key of keys) markerBlocks.delete(key);
+    return;
+  }
+
+  setTimeout(async function () {
+    try {
+      await rcon.command(`fill ${column} air replace glowstone`);
+    } catch (e) {
+      console.error(`Failed to remove marker: ${e.message}`);
+    }
+    for (const key of keys) markerBlocks.delete(key);
+  }, markerDuration * 1000);
+
+}
+
+consoleCommands["select"] = function (args) {
+
+  // Split off options, all of which take a value
+  const coords = [], options = {};
+  for (let i = 0; i < args.length; i ++) {
+    if (args[i].startsWith("--")) options[args[i].slice(2)] = args[++ i];
+    else coords.push(Number(args[i]));
+  }
+
+  const radius = "radius" in options ? Number(options.radius) : null;
+  if (!startSelection(coords, radius, options.export || null)) {
+    console.warn("Usage: select [x1 y1 z1 x2 y2 z2 | x y z --radius <r> | --radius <r>] [--export <path>]");
+  }
+
+};
+
+consoleCommands["locate"] = async function (args) {
+
+  const mark = args.includes("--mark");
+  const query = args.filter(c => c !== "--mark").join(" ");
+  if (!query) {
+    console.warn("Usage: locate <path|glob> [--mark]");
+    return;
+  }
+
+  const matches = await reportLocatedFiles(query);
+  if (!mark || matches.length === 0) return;
+
+  if (!rcon) {
+    console.warn("Marking blocks requires --rcon.");
+    return;
+  }
+  if (matches.length > maxMarkers) {
+    console.warn(`Only marking the first ${maxMarkers} blocks.`);
+  }
+  for (const entry of matches.slice(0, maxMarkers)) {
+    await markBlock(entry.pos);
+  }
+  console.log(`Marked for ${markerDuration} seconds.`);
+
+};
+
+if (apiPort) {
+  apiTools.startServer(apiPort, parentDepth, noProgress ? null : writeMappingToDisk);
+  console.log(`Serving API on http://127.0.0.1:${apiPort}/`);
+}
 
 // Initialize region file cache from disk
 await world.fillRegionFileCache(worldPath);
 
 const regionChecksum = {};
 const chunkChecksum = {};
+// Last seen blocks at unmapped positions next to mapped terrain
+const unmappedBlocks = {};
+// Replacements of mapped blocks which were ignored by the removal policy
+const ignoredChanges = new Map();
+
+// Grows the terrain boundaries to include the given position
+function expandTerrainBounds (pos) {
+  const [mins, maxs] = worldGenTools.terrainBounds;
+  if (pos.x < mins.x) mins.x = pos.x;
+  else if (pos.x > maxs.x) maxs.x = pos.x;
+  if (pos.y < mins.y) mins.y = pos.y;
+  else if (pos.y > maxs.y) maxs.y = pos.y;
+  if (pos.z < mins.z) mins.z = pos.z;
+  else if (pos.z > maxs.z) maxs.z = pos.z;
+}
+
+// Blocks which fall when unsupported, and so get "placed" without a player
+const FALLING_BLOCKS = [
+  "sand", "red_sand", "suspicious_sand", "gravel", "suspicious_gravel",
+  "*concrete_powder", "*anvil", "dragon_egg"
+].map(c => new Bun.Glob(c));
+
+// Whether a placed block may be mapped to a new file
+function isPlaceableBlock (state) {
+  const block = world.getBlockName(state);
+  return world.isSolidBlock(block) && !FALLING_BLOCKS.some(c => c.match(block));
+}
+
+/**
+ * Creates a file for a block placed next to mapped terrain, and maps
+ * the block to it. The file is created in the directory of the
+ * neighboring block's file.
+ *
+ * @param {Vector} pos - Absolute position of the placed block
+ * @param {string} block - Name of the placed block
+ * @param {Object} neighbor - `mapping` entry of an adjacent block
+ */
+function placeBlockFile (pos, block, neighbor) {
+
+  const extension = placeTemplate ? path.extname(placeTemplate) : "";
+  const name = `${world.getBlockName(block)}_${pos.toArray().join("_")}${extension}`;
+  const fullPath = path.join(path.dirname(neighbor.file.path), name);
+
+  let file;
+  try {
+    file = fileTools.createFile(fullPath, neighbor.file.depth, placeTemplate);
+  } catch (e) {
+    console.error(`Failed to create file at "${fullPath}":\n`, e);
+    return;
+  }
+
+  const entry = { pos, file, block };
+  mapping[pos.toString()] = entry;
+  mappingTools.putEntry(entry);
+  expandTerrainBounds(pos);
+  console.log(`Placed ${formatMappingString(entry)}`);
+
+}
+
+// Blocks obtained when mining a block, if different from the block itself
+const blockDrops = {
+  grass_block: "dirt",
+  stone: "cobblestone"
+};
+
+// Removed blocks waiting to either be placed elsewhere or have their files removed
+let pendingRemovals = [];
+
+/**
+ * Looks for a pending removal matching the given placed block, and if
+ * found, moves its file into the directory of the neighboring block's
+ * file. The removed block's `mapping` entry is then reinserted at the
+ * new position.
+ *
+ * @param {Vector} pos - Absolute position of the placed block
+ * @param {string} block - Name of the placed block
+ * @param {Object} neighbor - `mapping` entry of an adjacent block
+ *
+ * @returns {boolean} Whether the placement was treated as a move
+ */
+function moveBlockFile (pos, block, neighbor) {
+
+  const name = world.getBlockName(block);
+  const pending = pendingRemovals.find(c => (
+    world.getBlockName(c.entry.block) === name ||
+    blockDrops[world.getBlockName(c.entry.block)] === name
+  ));
+  if (!pending) return false;
+  pendingRemovals.splice(pendingRemovals.indexOf(pending), 1);
+
+  const { entry } = pending;
+  const oldPath = entry.file.path;
+  // Resolve the removal recorded when the block was broken
+  try {
+    auditTools.appendRecord(auditPath, {
+      time: Date.now(),
+      pos: entry.pos.toArray(),
+      block: entry.block,
+      replacement: pending.block,
+      path: oldPath,
+      size: entry.file.size,
+      action: "moved"
+    });
+  } catch (e) {
+    console.error("Failed to write to audit log:\n", e);
+  }
+  const newPath = path.join(path.dirname(neighbor.file.path), path.basename(oldPath));
+
+  if (newPath !== oldPath) {
+    if (fs.existsSync(newPath)) {
+      console.warn(`Not moving "${oldPath}", a file already exists at "${newPath}".`);
+    } else {
+      try {
+        fileTools.moveFile(oldPath, newPath);
+        entry.file.path = newPath;
+        entry.file.depth = neighbor.file.depth;
+      } catch (e) {
+        console.error(`Failed to move file to "${newPath}":\n`, e);
+      }
+    }
+  }
+
+  entry.pos = pos;
+  entry.block = block;
+  mapping[pos.toString()] = entry;
+  mappingTools.putEntry(entry);
+  expandTerrainBounds(pos);
+  console.log(`Moved ${formatMappingString(entry)}`);
+
+  return true;
+
+}
+
+/**
+ * Quarantines or deletes the file associated with a removed block,
+ * depending on which of these actions is enabled. The outcome is
+ * recorded in the audit log and shown to the player.
+ *
+ * @param {Object} entry - `mapping` entry of the removed block
+ * @param {string} block - Block which replaced the mapped block
+ * @param {boolean} [keep=false] - Only report the removal, leaving the file in place
+ * @param {Map<string, number[]>} [owners] - Handle owners found by `lookupHandleOwners`
+ *
+ * @returns {Object} Audit log record of the removal
+ */
+async function removeBlockFile (entry, block, keep = false, owners = null) {
+
+  const fullPath = entry.file.path;
+  const record = {
+    time: Date.now(),
+    pos: entry.pos.toArray(),
+    block: entry.block,
+    replacement: block,
+    path: fullPath,
+    size: entry.file.size,
+    action: "reported"
+  };
+  let label = "Reported";
+  const reason = !keep && (quarantine || allowDelete) && protectTools.getProtectionReason(fullPath);
+
+  if (keep) {
+    label = "Kept";
+  } else if (reason) {
+    console.warn(`Refused to remove "${fullPath}", ${reason}.`);
+    record.action = "refused";
+    record.reason = reason;
+    label = "Refused to remove";
+  } else if (quarantine) {
+    try {
+      trashTools.quarantineFile(trashPath, entry, block);
+      console.log(`Moved "${fullPath}" to quarantine`);
+      record.action = "quarantined";
+      label = "Quarantined";
+    } catch (e) {
+      console.error(`Failed to quarantine file at "${fullPath}":\n`, e);
+      record.action = "failed";
+      record.error = e.message;
+      label = "Failed to quarantine";
+    }
+  } else if (allowDelete) {
+    try {
+      // First, deal with any processes holding a handle to this file
+      const pids = (owners || await lookupHandleOwners([fullPath])).get(fullPath) || [];
+      const { killable, spared } = await procTools.checkHandleOwners(pids);
+      const holders = killable.concat(spared);
+
+      for (const { pid, name, reason } of spared) {
+        console.warn(`Not killing process ${pid} (${name}), ${reason}.`);
+      }
+      if (killPolicy === "dry-run") {
+        for (const { pid, name } of killable) {
+          console.log(`Would kill process ${pid} (${name})`);
+        }
+      }
+
+      if (holders.length > 0 && (spared.length > 0 || killPolicy !== "kill")) {
+        // Keep the file rather than kill what's holding it
+        const names = holders.map(c => `${c.name} (${c.pid})`).join(", ");
+        console.warn(`Not deleting "${fullPath}", it is open in ${names}.`);
+        record.action = "refused";
+        record.reason = `it is open in ${names}`;
+        label = "Refused to delete";
+      } else {
+        for (const { pid, name } of killable) {
+          console.log(`Terminating process ${pid} (${name})`);
+        }
+        await Promise.all(killable.map(c => procTools.terminateProcess(c.pid)));
+        if (killable.length > 0) record.killed = killable.map(c => c.pid);
+        // Then, delete the file
+        try {
+          await $`rm -f "${fullPath}"`.quiet();
+          record.action = "deleted";
+          label = "Deleted";
+        } catch (e) {
+          console.error(`Failed to delete file at "${fullPath}":\n`, e);
+          record.action = "failed";
+          record.error = e.message;
+          label = "Failed to delete";
+        }
+        if (killable.length > 0) {
+          label += `, killed ${killable.length} process${killable.length === 1 ? "" : "es"}`;
+        }
+      }
+    } catch (e) {
+      console.error(`Failed to release handles of "${fullPath}":\n`, e);
+      record.action = "failed";
+      record.error = e.message;
+      label = "Failed to release handles";
+    }
+  }
+
+  try {
+    auditTools.appendRecord(auditPath, record);
+  } catch (e) {
+    console.error("Failed to write to audit log:\n", e);
+  }
+  apiTools.emitEvent("removal", record);
+  notifyPlayer("tellraw", [
+    { text: `${label}: `, color: "red", bold: true },
+    ...formatMappingMessage(entry, "red")
+  ]);
+
+  return record;
+
+}
+
+// Removals carried out recently, for detecting mass removals
+let recentRemovals = [];
+// Removals held back after a mass removal, or null if not paused
+let heldRemovals = null;
+
+/**
+ * Carries out a batch of removals, unless too many blocks have been
+ * removed within the removal window, either in total or within one
+ * terrain group. If so, removals are paused, and this and any later
+ * batches are held until confirmed in the console.
+ *
+ * @param {Object[]} batch - Array of `{ entry, block }` removals
+ */
+async function processRemovals (batch) {
+
+  if (batch.length === 0) return;
+
+  // Reporting removals is harmless, so it never needs to be paused
+  if (!quarantine && !allowDelete) {
+    for (const { entry, block } of batch) {
+      await removeBlockFile(entry, block);
+    }
+    return;
+  }
+
+  if (heldRemovals) {
+    heldRemovals.push(...batch);
+    recordUnresolvedRemovals(batch, "held");
+    console.warn(`Removals are paused, holding ${heldRemovals.length} removals.`);
+    return;
+  }
+
+  const now = Date.now();
+  recentRemovals = recentRemovals.filter(c => now - c.time < removalWindow * 1000);
+  for (const { entry } of batch) {
+    recentRemovals.push({ time: now, group: entry.file.getShortParent(parentDepth) });
+  }
+
+  const groupCounts = {};
+  for (const { group } of recentRemovals) {
+    groupCounts[group] = (groupCounts[group] || 0) + 1;
+  }
+  const maxGroupCount = Math.max(...Object.values(groupCounts));
+
+  if (recentRemovals.length <= maxRemovals && maxGroupCount <= maxGroupRemovals) {
+    await removeBatch(batch);
+    return;
+  }
+
+  heldRemovals = batch;
+  recordUnresolvedRemovals(batch, "held");
+  reportMassRemoval(batch);
+
+}
+
+/**
+ * Records removals which haven't been carried out yet in the audit log,
+ * so that they can still be applied if the session ends before they're
+ * resolved.
+ *
+ * @param {Object[]} batch - Array of `{ entry, block }` removals
+ * @param {"held"|"pending"} action - Why the removals are on hold
+ */
+function recordUnresolvedRemovals (batch, action) {
+  try {
+    for (const { entry, block } of batch) {
+      auditTools.appendRecord(auditPath, {
+        time: Date.now(),
+        pos: entry.pos.toArray(),
+        block: entry.block,
+        replacement: block,
+        path: entry.file.path,
+        size: entry.file.size,
+        action
+      });
+    }
+  } catch (e) {
+    console.error("Failed to write to audit log:\n", e);
+  }
+}
+
+// Removes the files of a batch of removals, looking up open handles all at once
+async function removeBatch (batch) {
+  let owners = null;
+  if (allowDelete && !quarantine) {
+    try {
+      owners = await lookupHandleOwners(batch.map(c => c.entry.file.path));
+    } catch (e) {
+      console.error("Failed to look up open files:\n", e);
+    }
+  }
+  for (const { entry, block } of batch) {
+    await removeBlockFile(entry, block, false, owners);
+  }
+}
+
+// Describes the removals which triggered a pause of removals
+function reportMassRemoval (batch) {
+
+  const mins = batch[0].entry.pos.clone();
+  const maxs = batch[0].entry.pos.clone();
+  const replacements = {};
+
+  for (const { entry, block } of batch) {
+    const { pos } = entry;
+    mins.x = Math.min(mins.x, pos.x);
+    mins.y = Math.min(mins.y, pos.y);
+    mins.z = Math.min(mins.z, pos.z);
+    maxs.x = Math.max(maxs.x, pos.x);
+    maxs.y = Math.max(maxs.y, pos.y);
+    maxs.z = Math.max(maxs.z, pos.z);
+    const name = world.getBlockName(block);
+    replacements[name] = (replacements[name] || 0) + 1;
+  }
+
+  const replacementString = Object.entries(replacements)
+    .sort((a, b) => b[1] - a[1])
+    .map(([name, count]) => `${count}x "${name}"`)
+    .join(", ");
+
+  console.warn(`\nWARNING: Too many blocks removed within ${removalWindow} seconds, removals are paused.`);
+  console.warn(`Holding ${batch.length} removals from (${mins.toArray().join(" ")}) to (${maxs.toArray().join(" ")}).`);
+  console.warn(`Replaced by: ${replacementString}`);
+  console.warn(`Type "confirm" to carry out held removals, or "discard" to keep their files.\n`);
+
+  notifyPlayer("tellraw", [
+    { text: "Removals paused: ", color: "red", bold: true },
+    { text: `${batch.length} blocks removed at once. Confirm in the console.`, color: "red" }
+  ]);
+
+}
+
+consoleCommands["confirm"] = async function () {
+  if (!heldRemovals) return console.log("No removals are being held.");
+  const held = heldRemovals;
+  heldRemovals = null;
+  recentRemovals = [];
+  console.log(`Carrying out ${held.length} held removals...`);
+  await removeBatch(held);
+};
+
+consoleCommands["discard"] = async function () {
+  if (!heldRemovals) return console.log("No removals are being held.");
+  const held = heldRemovals;
+  heldRemovals = null;
+  recentRemovals = [];
+  // Keep these in the audit log, so that they can still be applied later
+  for (const { entry, block } of held) {
+    await removeBlockFile(entry, block, true);
+  }
+  console.log(`Discarded ${held.length} held removals, their files were kept.`);
+};
+
+// Paths of files seen by the previous file tree scan
+let knownPaths = null;
+
+/**
+ * Sets blocks in the world while the game may be running. With RCON,
+ * blocks in loaded chunks are set in-game, as the game would otherwise
+ * overwrite them with its own copy of the chunk. Everything else is
+ * written to the region files directly.
+ *
+ * @param {{ pos: Vector, block: string }[]} changes - Blocks to set
+ * @returns {Object[]} Changes which were skipped, see `writeChunkChanges`
+ */
+async function applyBlockChanges (changes) {
+
+  const fileChanges = [], skipped = [];
+
+  for (const change of changes) {
+    if (!rcon) {
+      fileChanges.push(change);
+      continue;
+    }
+    const [x, y, z] = change.pos.toArray();
+    // Only replace air when placing blocks, like `writeChunkChanges`
+    const mode = world.getBlockName(change.block) === "air" ? "replace" : "keep";
+    let response;
+    try {
+      response = await rcon.command(`setblock ${x} ${y} ${z} ${change.block} ${mode}`);
+    } catch (e) {
+      console.error("Failed to set block over RCON:\n", e);
+      fileChanges.push(change);
+      continue;
+    }
+    if (response.includes("not loaded")) fileChanges.push(change);
+    else if (!response.startsWith("Changed") && mode === "keep") skipped.push(change);
+  }
+
+  if (fileChanges.length > 0) {
+    skipped.push(...await worldGenTools.writeChunkChanges(worldPath, fileChanges));
+  }
+  return skipped;
+
+}
+
+/**
+ * Rescans the file tree, adding blocks for new files next to the
+ * terrain of their directories, and removing blocks of files which
+ * no longer exist. Only the affected chunks get rewritten.
+ */
+async function syncFileChanges () {
+
+  const scanBlacklist = blacklist.concat([
+    path.resolve(trashPath),
+    path.resolve(cwd, "mapping"),
+    path.dirname(path.resolve(auditPath))
+  ]);
+  const fileList = fileTools.buildFileList(path.resolve(rootPath), scanBlacklist);
+
+  // Only consider files created after the first scan
+  if (!knownPaths) {
+    knownPaths = new Set(fileList.map(c => c.path));
+    // Blocks added in an earlier session may have been overwritten by the game
+    const unsynced = Object.values(mapping).filter(c => c.unsynced);
+    if (unsynced.length > 0) {
+      console.log(`Rewriting ${unsynced.length} blocks of new files which haven't shown up in-game yet...`);
+      await applyBlockChanges(unsynced.map(c => ({ pos: c.pos, block: c.block })));
+    }
+    return;
+  }
+
+  const changes = [];
+  const mappedPaths = new Set();
+
+  // Remove blocks of deleted files
+  const scannedPaths = new Set(fileList.map(c => c.path));
+  for (const key in mapping) {
+    const entry = mapping[key];
+    mappedPaths.add(entry.file.path);
+    if (scannedPaths.has(entry.file.path) || fs.existsSync(entry.file.path)) continue;
+    console.log(`File deleted, removing ${formatMappingString(entry)}`);
+    delete mapping[key];
+    mappingTools.removeEntry(key);
+    unmappedBlocks[key] = entry.block;
+    knownPaths.delete(entry.file.path);
+    changes.push({ pos: entry.pos, block: "air" });
+  }
+
+  // Add blocks for new files
+  const added = [];
+  for (const file of fileList) {
+    if (knownPaths.has(file.path)) continue;
+    knownPaths.add(file.path);
+    if (mappedPaths.has(file.path)) continue;
+    const entry = worldGenTools.allocateFileBlock(file, parentDepth);
+    if (!entry) {
+      console.warn(`No space for new file "${file.getShortPath(parentDepth)}"`);
+      continue;
+    }
+    // Keep the block from counting as removed until it shows up in-game
+    entry.unsynced = true;
+    added.push(entry);
+    changes.push({ pos: entry.pos, block: entry.block });
+  }
+
+  if (changes.length === 0) return;
+
+  const skipped = await applyBlockChanges(changes);
+  for (const entry of added) {
+    if (skipped.find(c => c.pos === entry.pos)) {
+      console.warn(`Couldn't place a block for new file "${entry.file.getShortPath(parentDepth)}"`);
+      delete mapping[entry.pos.toString()];
+      continue;
+    }
+    mappingTools.putEntry(entry);
+    expandTerrainBounds(entry.pos);
+    console.log(`File created, added ${formatMappingString(entry)}`);
+  }
+
+}
+
+if (watchInterval) {
+  console.log(`Watching for changes within "${rootPath}"...`);
+  await syncFileChanges();
+}
+let lastWatchTime = Date.now();
 
 console.log("Listening for block changes...");
 
+/**
+ * Lists unmapped positions within a chunk which are next to mapped
+ * blocks, including mapped blocks just across the chunk's borders.
+ *
+ * @param {Object[]} entries - `mapping` entries within the chunk
+ * @param {number} _x - Chunk X coordinate
+ * @param {number} _z - Chunk Z coordinate
+ *
+ * @returns {Map<string, { pos: Vector, neighbor: Object }>} Positions by
+ *          `mapping` key, each with the entry of one adjacent mapped block
+ */
+function findPlacementCandidates (entries, _x, _z) {
+
+  const candidates = new Map();
+  const addCandidate = function (pos, neighbor) {
+    const key = pos.toString();
+    if (key in mapping || candidates.has(key)) return;
+    candidates.set(key, { pos, neighbor });
+  };
+
+  for (const entry of entries) {
+    if (mapping[entry.pos.toString()] !== entry) continue;
+    for (let i = 0; i < 6; i ++) {
+      const pos = entry.pos.shifted(i);
+      if (Math.floor(pos.x / 16) !== _x || Math.floor(pos.z / 16) !== _z) continue;
+      addCandidate(pos, entry);
+    }
+  }
+
+  // Blocks of other chunks can only be next to this chunk's outer columns
+  const [mins, maxs] = worldGenTools.terrainBounds;
+  for (let y = Math.max(-64, mins.y - 1); y <= Math.min(127, maxs.y + 1); y ++) {
+    for (let i = 0; i < 16; i ++) {
+      for (const [x, z, dx, dz] of [[0, i, -1, 0], [15, i, 1, 0], [i, 0, 0, -1], [i, 15, 0, 1]]) {
+        const pos = new Vector(_x * 16 + x, y, _z * 16 + z);
+        const neighbor = mapping[pos.add(dx, 0, dz).toString()];
+        if (neighbor) addCandidate(pos, neighbor);
+      }
+    }
+  }
+
+  return candidates;
+
+}
+
 async function checkBlockChanges () {
 
+  // Removals found during this pass
+  const removalBatch = [];
+
   // Iterate over all used regions asynchronously
   const regionPromises = [];
   regionPromises.push(world.forRegion(worldPath, async function (region, rx, rz) {
@@ -288,16 +1641,15 @@ async function checkBlockChanges () {
     if (regionChecksum[`${rx},${rz}`] === region.checksum) return;
     regionChecksum[`${rx},${rz}`] = region.checksum;
 
-    // Iterate over all mapped chunks within this region asynchronously
-    const chunkPromises = [];
-    chunkPromises.push(worldGenTools.forMappedChunks(async function (blocks, entries, _x, _z, bounds) {
+    // Checks a chunk of this region for changes
+    const checkChunk = async function (blocks, entries, _x, _z, bounds) {
 
       // "Sleep" to allow other threads to run
       await new Promise((resolve) => setTimeout(resolve, 10));
 
       // Check for changes in chunk hash and load data into block array
       const expectHash = chunkChecksum[`${_x},${_z}`];
-      const returnHash = await world.regionToBlocks(region.bytes, blocks, rx, rz, bounds, expectHash);
+      const returnHash = await world.regionToBlocks(region.bytes, blocks, rx, rz, bounds, expectHash, `${worldPath}/region`);
       if (returnHash === null) return;
       chunkChecksum[`${_x},${_z}`] = returnHash;
 
@@ -309,36 +1661,57 @@ async function checkBlockChanges () {
           const [x, y, z] = entry.pos.relative(_x, _z).toArray();
           const block = blocks[x][y][z];
 
-          if (block === entry.block) return resolve();
-
-          console.log(`Removed ${formatMappingString(entry)}`);
-          console.log(` ^ Replaced by "${block}"`);
+          // Changes in block state properties don't count as removal
+          const sameBlock = world.getBlockName(block) === world.getBlockName(entry.block);
 
-          // If permitted, delete the associated file
-          if (allowDelete) {
-            const fullPath = entry.file.path;
-            try {
-              // First, kill any processes holding a handle to this file
-              const pids = await procTools.getHandleOwners(fullPath);
-              const promises = [];
-              for (const pid of pids) {
-                promises.push(procTools.killProcess(pid));
-                console.log(`Killing process ${pid}`);
-              }
-              await Promise.all(promises);
-              // Then, delete the file
-              try {
-                await $`rm -f "${fullPath}"`.quiet();
-              } catch (e) {
-                console.error(`Failed to delete file at "${fullPath}":\n`, e);
-              }
-            } catch (e) {
-              console.error(`Failed to release handles of "${fullPath}":\n`, e);
+          // Blocks added by the watcher may take a while to show up in-game
+          if (entry.unsynced) {
+            if (sameBlock) {
+              delete entry.unsynced;
+              mappingTools.putEntry(entry);
             }
+            return resolve();
           }
 
+          if (sameBlock) return resolve();
+
           const key = entry.pos.toString();
+          const change = policyTools.classifyChange(world.getBlockName(entry.block), world.getBlockName(block));
+
+          // Natural transformations just update the mapped block
+          if (change === "resync") {
+            console.log(`Changed ${formatMappingString(entry)}`);
+            console.log(` ^ Now "${block}"`);
+            entry.block = block;
+            mappingTools.putEntry(entry);
+            return resolve();
+          }
+
+          // Report ignored changes only once, as they'll keep showing up
+          if (change === "ignore") {
+            if (ignoredChanges.get(key) !== block) {
+              ignoredChanges.set(key, block);
+              console.log(`Ignoring change of ${formatMappingString(entry)}`);
+              console.log(` ^ Replaced by "${block}"`);
+            }
+            return resolve();
+          }
+          ignoredChanges.delete(key);
+
+          console.log(`Removed ${formatMappingString(entry)}`);
+          console.log(` ^ Replaced by "${block}"`);
+
           delete mapping[key];
+          mappingTools.removeEntry(key);
+          unmappedBlocks[key] = block;
+
+          // Give the player a chance to place the block elsewhere
+          if (moveWindow) {
+            pendingRemovals.push({ entry, block, time: Date.now() });
+            recordUnresolvedRemovals([{ entry, block }], "pending");
+          } else {
+            removalBatch.push({ entry, block });
+          }
 
           resolve();
         }));
@@ -346,7 +1719,38 @@ async function checkBlockChanges () {
       // Join all block threads
       await Promise.all(blockPromises);
 
-    }, rx, rz));
+      // Look for blocks placed next to mapped terrain
+      if (!place && !moveWindow) return;
+      for (const [key, { pos, neighbor }] of findPlacementCandidates(entries, _x, _z)) {
+
+        if (markerBlocks.has(key)) continue;
+
+        const [x, y, z] = pos.relative(_x, _z).toArray();
+        if (y < 0 || y >= blocks[x].length) continue;
+
+        // On the first pass over a chunk, just record what's there
+        const block = blocks[x][y][z];
+        const lastBlock = unmappedBlocks[key] || "air";
+        unmappedBlocks[key] = block;
+        if (expectHash === undefined) continue;
+
+        if (world.getBlockName(block) === world.getBlockName(lastBlock)) continue;
+        if (!world.isSolidBlock(block)) continue;
+        // Falling blocks can carry their files along, but don't create new ones
+        if (moveBlockFile(pos, block, neighbor)) continue;
+        if (place && isPlaceableBlock(block)) placeBlockFile(pos, block, neighbor);
+
+      }
+
+    };
+
+    // Iterate over all mapped chunks within this region asynchronously
+    const chunkPromises = [];
+    chunkPromises.push(worldGenTools.forMappedChunks(checkChunk, rx, rz));
+    // Blocks can also be placed just across the border of an empty chunk
+    if (place || moveWindow) {
+      chunkPromises.push(worldGenTools.forBorderChunks(checkChunk, rx, rz));
+    }
     // Join all chunk threads
     await Promise.all(chunkPromises);
 
@@ -354,12 +1758,21 @@ async function checkBlockChanges () {
   // Join all region threads
   await Promise.all(regionPromises);
 
+  // Remove files of blocks which haven't been placed elsewhere in time
+  const now = Date.now();
+  const expired = pendingRemovals.filter(c => now - c.time >= moveWindow * 1000);
+  pendingRemovals = pendingRemovals.filter(c => !expired.includes(c));
+  removalBatch.push(...expired);
+
+  await processRemovals(removalBatch);
+
+  // Sync the world with changes in the file tree, in between block checks
+  if (watchInterval && now - lastWatchTime >= watchInterval * 1000) {
+    lastWatchTime = now;
+    await syncFileChanges();
+  }
+
   // Repeat this check after a delay
   setTimeout(checkBlockChanges, 200);
 }
 checkBlockChanges();
-
-if (!noProgress) {
-  // Save block-file mapping every few minutes
-  setInterval(writeMappingToDisk, 1000 * 60 * 5);
-}
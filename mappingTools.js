@@ -0,0 +1,144 @@
+const { Database } = require("bun:sqlite");
+
+const { MappedFile } = require("./fileTools.js");
+const Vector = require("./Vector.js");
+
+// Open mapping database, or null if progress isn't being saved
+let db = null;
+let statements = null;
+
+/**
+ * Opens (and if necessary, creates) the database which stores the
+ * block-file mapping. Until this is called, changes aren't recorded.
+ *
+ * @param {string} dbPath - Path to the SQLite database file
+ */
+function openStore (dbPath) {
+
+  if (db) return;
+
+  db = new Database(dbPath, { create: true });
+  // Write-ahead logging keeps committed changes safe if the process dies
+  db.exec("PRAGMA journal_mode = WAL");
+  db.exec(`CREATE TABLE IF NOT EXISTS mapping (
+    key TEXT PRIMARY KEY,
+    x INTEGER, y INTEGER, z INTEGER,
+    block TEXT,
+    path TEXT,
+    size INTEGER,
+    depth INTEGER,
+    unsynced INTEGER NOT NULL DEFAULT 0
+  ) WITHOUT ROWID`);
+  // Stores created by older versions lack the unsynced flag
+  const columns = db.prepare("PRAGMA table_info(mapping)").all().map(c => c.name);
+  if (!columns.includes("unsynced")) {
+    db.exec("ALTER TABLE mapping ADD COLUMN unsynced INTEGER NOT NULL DEFAULT 0");
+  }
+  db.exec(`CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT
+  ) WITHOUT ROWID`);
+
+  statements = {
+    put: db.prepare("INSERT OR REPLACE INTO mapping VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)"),
+    remove: db.prepare("DELETE FROM mapping WHERE key = ?"),
+    clear: db.prepare("DELETE FROM mapping"),
+    all: db.prepare("SELECT key, x, y, z, block, path, size, depth, unsynced FROM mapping"),
+    setMeta: db.prepare("INSERT OR REPLACE INTO meta VALUES (?, ?)"),
+    getMeta: db.prepare("SELECT value FROM meta WHERE key = ?")
+  };
+
+}
+
+function putRow (entry) {
+  const { pos, file } = entry;
+  statements.put.run(pos.toString(), pos.x, pos.y, pos.z, entry.block, file.path, file.size, file.depth, entry.unsynced ? 1 : 0);
+}
+
+/**
+ * Records a new or changed `mapping` entry.
+ *
+ * @param {Object} entry - `mapping` entry, stored under its position
+ */
+function putEntry (entry) {
+  if (!db) return;
+  putRow(entry);
+}
+
+/**
+ * Records the removal of a `mapping` entry.
+ *
+ * @param {string} key - `mapping` key of the removed entry
+ */
+function removeEntry (key) {
+  if (!db) return;
+  statements.remove.run(key);
+}
+
+/**
+ * Replaces everything in the store with the given mapping, in a single
+ * transaction. Used after generating terrain, and for compaction.
+ *
+ * @param {Object} mapping - Block-file mapping to store
+ */
+function saveMapping (mapping) {
+  if (!db) return;
+  db.transaction(function () {
+    statements.clear.run();
+    for (const key in mapping) putRow(mapping[key]);
+  })();
+  db.exec("PRAGMA wal_checkpoint(TRUNCATE)");
+}
+
+/**
+ * Reads all stored entries into the given mapping object.
+ *
+ * @param {Object} mapping - Object to insert entries into
+ * @returns {number} Number of entries read
+ */
+function loadMapping (mapping) {
+  const rows = statements.all.values();
+  for (const [key, x, y, z, block, path, size, depth, unsynced] of rows) {
+    mapping[key] = {
+      pos: new Vector(x, y, z),
+      file: new MappedFile(path, size, depth),
+      block
+    };
+    // Blocks written while the game was running may not have shown up yet
+    if (unsynced) mapping[key].unsynced = true;
+  }
+  return rows.length;
+}
+
+/**
+ * Stores a value describing the mapping as a whole, such as the seed
+ * it was generated with. Kept when the mapping itself is replaced.
+ *
+ * @param {string} key - Name of the value
+ * @param {string|number} value - Value to store
+ */
+function setMeta (key, value) {
+  if (!db) return;
+  statements.setMeta.run(key, String(value));
+}
+
+/**
+ * Reads a value stored with `setMeta`.
+ *
+ * @param {string} key - Name of the value
+ * @returns {string|null} Stored value, or null if there is none
+ */
+function getMeta (key) {
+  if (!db) return null;
+  return statements.getMeta.get(key)?.value ?? null;
+}
+
+module.exports = {
+  openStore,
+  putEntry,
+  removeEntry,
+  saveMapping,
+  loadMapping,
+  setMeta,
+  getMeta
+};
@@ -9,6 +9,685 @@ const deflate = promisify(zlib.deflate);
 
 const Vector = require("./Vector.js");
 
+/**
+ * Splits a block state string, such as "oak_log[axis=x]", into its
+ * block name and properties.
+ *
+ * @param {string} state - Block state string
+ * @return {{ name: string, properties: Object }} Block name and properties
+ */
+function parseBlockState (state) {
+  const open = state.indexOf("[");
+  if (open === -1) return { name: state, properties: {} };
+  const properties = {};
+  for (const pair of state.slice(open + 1, -1).split(",")) {
+    const [key, value] = pair.split("=");
+    properties[key] = value;
+  }
+  return { name: state.slice(0, open), properties };
+}
+
+/**
+ * Builds a block state string from a block name and its properties.
+ * Properties are sorted, so that equal states produce equal strings.
+ *
+ * @param {string} name - Block name
+ * @param {Object} [properties={}] - Block state properties
+ * @return {string} Block state string
+ */
+function formatBlockState (name, properties = {}) {
+  const keys = Object.keys(properties).sort();
+  if (keys.length === 0) return name;
+  return `${name}[${keys.map(c => `${c}=${properties[c]}`).join(",")}]`;
+}
+
+// Returns the block name of a block state string, without properties
+function getBlockName (state) {
+  if (!state) return state;
+  const open = state.indexOf("[");
+  return open === -1 ? state : state.slice(0, open);
+}
+
+// Number of bits used to store each block state index for a palette size
+// Block state indices are stored in YZX order, 4096 per section
+function getBitsPerEntry (paletteLength) {
+  return Math.max(4, Math.ceil(Math.log2(paletteLength)));
+}
+
+/**
+ * Unpacks fixed-width values from an array of longs, as used for block
+ * states and heightmaps. Each long holds as many values as fit in it
+ * whole, starting from the least significant bits, such that no value
+ * spans two longs.
+ *
+ * Longs are represented as [upper, lower] pairs of 32-bit integers.
+ *
+ * @param {[number, number][]} longs - Packed data
+ * @param {number} bits - Number of bits per value
+ * @param {number} count - Number of values to unpack
+ *
+ * @return {number[]} Array of unpacked values
+ */
+function unpackLongs (longs, bits, count) {
+
+  const perLong = Math.floor(64 / bits);
+  const mask = (1 << bits) - 1;
+
+  const values = new Array(count);
+  for (let i = 0; i < count; i ++) {
+
+    const [upper, lower] = longs[Math.floor(i / perLong)];
+    const shift = (i % perLong) * bits;
+
+    if (shift >= 32) {
+      values[i] = (upper >>> (shift - 32)) & mask;
+    } else if (shift + bits <= 32) {
+      values[i] = (lower >>> shift) & mask;
+    } else {
+      // Value is split between the two halves of the long
+      values[i] = ((lower >>> shift) | (upper << (32 - shift))) & mask;
+    }
+
+  }
+
+  return values;
+
+}
+
+/**
+ * Packs fixed-width values into an array of longs.
+ * Inverse of `unpackLongs`.
+ *
+ * @param {number[]} values - Values to pack
+ * @param {number} bits - Number of bits per value
+ *
+ * @return {[number, number][]} Packed data
+ */
+function packLongs (values, bits) {
+
+  const perLong = Math.floor(64 / bits);
+
+  const longs = [];
+  for (let i = 0; i < values.length; i += perLong) {
+
+    let upper = 0, lower = 0;
+    for (let j = 0; j < perLong && i + j < values.length; j ++) {
+
+      const value = values[i + j];
+      const shift = j * bits;
+
+      if (shift >= 32) {
+        upper |= value << (shift - 32);
+      } else if (shift + bits <= 32) {
+        lower |= value << shift;
+      } else {
+        lower |= value << shift;
+        upper |= value >>> (32 - shift);
+      }
+
+    }
+    longs.push([upper, lower]);
+
+  }
+
+  return longs;
+
+}
+
+// World height limits, in sections
+const MIN_SECTION = -4;
+const MAX_SECTION = 19;
+
+// Data version of newly created chunks, see `readDataVersion`
+// Defaults to that of Minecraft 1.21.10
+let dataVersion = 4556;
+
+/**
+ * Reads the data version of a world from its `level.dat` file, so that
+ * chunks created from scratch match the rest of the world.
+ *
+ * @param {string} worldPath - Path to the Minecraft world directory
+ */
+async function readDataVersion (worldPath) {
+  const file = Bun.file(`${worldPath}/level.dat`);
+  if (!(await file.exists())) return;
+  const json = await new Promise(async function (resolve, reject) {
+    nbt.parse(await file.bytes(), (err, res) => resolve(res));
+  });
+  const version = json?.value.Data?.value.DataVersion?.value;
+  if (version) dataVersion = version;
+}
+
+/**
+ * Reads the position and rotation of a player from an NBT file, either
+ * `level.dat` (single-player) or one within the `playerdata` directory.
+ *
+ * @param {string} filePath - Path to the NBT file
+ * @returns {Object|null} Object with `pos`, `rotation` and `dimension`,
+ *   or null if the file doesn't contain player data
+ */
+async function readPlayerFile (filePath) {
+  const file = Bun.file(filePath);
+  if (!(await file.exists())) return null;
+  const json = await new Promise(async function (resolve) {
+    nbt.parse(await file.bytes(), (err, res) => resolve(err ? null : res));
+  });
+  const player = json?.value.Data ? json.value.Data.value.Player?.value : json?.value;
+  const pos = player?.Pos?.value.value;
+  const rotation = player?.Rotation?.value.value;
+  if (!pos || !rotation) return null;
+  return {
+    pos,
+    rotation,
+    dimension: player.Dimension?.value || "minecraft:overworld"
+  };
+}
+
+/**
+ * Creates a waxed sign block entity compound with text on its front.
+ *
+ * @param {Vector} pos - Absolute position of the sign block
+ * @param {string[]} lines - Up to 4 lines of text
+ *
+ * @returns {Object} Block entity compound value
+ */
+function createSignEntity (pos, lines) {
+  // Text components are stored as NBT since 1.21.5, and as JSON before
+  const toComponent = text => dataVersion >= 4325 ? text : JSON.stringify(text);
+  const createText = messages => ({
+    type: "compound",
+    value: {
+      messages: {
+        type: "list",
+        value: { type: "string", value: messages.map(toComponent) }
+      },
+      color: { type: "string", value: "black" },
+      has_glowing_text: { type: "byte", value: 0 }
+    }
+  });
+  const front = [0, 1, 2, 3].map(i => lines[i] || "");
+  return {
+    id: { type: "string", value: "minecraft:sign" },
+    x: { type: "int", value: pos.x },
+    y: { type: "int", value: pos.y },
+    z: { type: "int", value: pos.z },
+    keepPacked: { type: "byte", value: 0 },
+    is_waxed: { type: "byte", value: 1 },
+    front_text: createText(front),
+    back_text: createText(["", "", "", ""])
+  };
+}
+
+// Creates an empty section compound for the given section Y coordinate
+function createSection (_y) {
+  return {
+    Y: { type: "byte", value: _y },
+    block_states: {
+      type: "compound",
+      value: {
+        palette: {
+          type: "list",
+          value: {
+            type: "compound",
+            value: [{ Name: { type: "string", value: "minecraft:air" } }]
+          }
+        }
+      }
+    },
+    biomes: {
+      type: "compound",
+      value: {
+        palette: {
+          type: "list",
+          value: { type: "string", value: ["minecraft:plains"] }
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Creates the NBT structure of an empty, fully generated chunk.
+ *
+ * @param {number} _x - Chunk X coordinate
+ * @param {number} _z - Chunk Z coordinate
+ *
+ * @return {Object} Chunk NBT, as used by the `nbt` library
+ */
+function createChunk (_x, _z) {
+  const sections = [];
+  for (let _y = MIN_SECTION; _y <= MAX_SECTION; _y ++) {
+    sections.push(createSection(_y));
+  }
+  return {
+    name: "",
+    value: {
+      DataVersion: { type: "int", value: dataVersion },
+      xPos: { type: "int", value: _x },
+      yPos: { type: "int", value: MIN_SECTION },
+      zPos: { type: "int", value: _z },
+      Status: { type: "string", value: "minecraft:full" },
+      LastUpdate: { type: "long", value: [0, 0] },
+      InhabitedTime: { type: "long", value: [0, 0] },
+      sections: {
+        type: "list",
+        value: { type: "compound", value: sections }
+      },
+      block_entities: {
+        type: "list",
+        value: { type: "compound", value: [] }
+      },
+      block_ticks: {
+        type: "list",
+        value: { type: "compound", value: [] }
+      },
+      fluid_ticks: {
+        type: "list",
+        value: { type: "compound", value: [] }
+      },
+      structures: {
+        type: "compound",
+        value: {
+          References: { type: "compound", value: {} },
+          starts: { type: "compound", value: {} }
+        }
+      }
+    }
+  };
+}
+
+// Name patterns of blocks which don't fill their whole space, such as
+// fluids, plants and decorations. All other blocks count as solid.
+const NON_SOLID_BLOCKS = [
+  "air", "cave_air", "void_air", "light", "structure_void", "water", "lava",
+  "bubble_column", "fire", "soul_fire", "cobweb", "snow", "powder_snow",
+  "*torch", "*lantern", "*_sign", "*_banner", "*_head", "*_skull", "*candle",
+  "*_button", "lever", "*_pressure_plate", "*rail", "ladder", "scaffolding",
+  "redstone_wire", "repeater", "comparator", "tripwire", "tripwire_hook",
+  "*carpet", "*_slab", "*_stairs", "*fence", "*fence_gate", "*_wall",
+  "*pane", "iron_bars", "chain", "*_door", "*_trapdoor", "*_bed",
+  "end_rod", "lightning_rod", "flower_pot", "potted_*", "*_cluster", "*_bud",
+  "short_grass", "tall_grass", "*fern", "dead_bush", "*_sapling",
+  "dandelion", "poppy", "blue_orchid", "allium", "azure_bluet", "*_tulip",
+  "oxeye_daisy", "cornflower", "lily_of_the_valley", "torchflower", "wither_rose",
+  "sunflower", "lilac", "rose_bush", "peony", "pink_petals", "*_mushroom",
+  "*_fungus", "*_roots", "*vine*", "glow_lichen", "sculk_vein", "*dripleaf*",
+  "spore_blossom", "pointed_dripstone", "sugar_cane", "bamboo", "cactus",
+  "kelp*", "*seagrass", "sea_pickle", "lily_pad", "*coral", "*coral_fan",
+  "*coral_wall_fan", "wheat", "carrots", "potatoes", "beetroots", "*_stem",
+  "sweet_berry_bush", "nether_wart", "cocoa", "turtle_egg", "frogspawn"
+].map(c => new Bun.Glob(c));
+// Solidity of each block name checked so far
+const solidBlockCache = new Map();
+
+// Whether the block is a full, solid cube
+function isSolidBlock (state) {
+  const block = getBlockName(state).replace("minecraft:", "");
+  if (!solidBlockCache.has(block)) {
+    solidBlockCache.set(block, !NON_SOLID_BLOCKS.some(c => c.match(block)));
+  }
+  return solidBlockCache.get(block);
+}
+
+// Whether the block stops motion, for the purpose of heightmaps
+function isMotionBlocking (state) {
+  const block = getBlockName(state);
+  return !(
+    block === "air" ||
+    block === "cave_air" ||
+    block === "short_grass" ||
+    block === "tall_grass" ||
+    block === "fern" ||
+    block === "torch"
+  );
+}
+
+/**
+ * Computes chunk heightmaps from a block array. Each heightmap holds the
+ * height above the bottom of the world of the top surface of the highest
+ * block matching a condition, for each column of the chunk.
+ *
+ * @param {function} getBlock - Returns the block at chunk-relative X, absolute Y, and chunk-relative Z
+ *
+ * @return {Object} Heightmaps compound, as used by the `nbt` library
+ */
+function computeHeightmaps (getBlock) {
+
+  const conditions = {
+    WORLD_SURFACE: block => block !== "air",
+    MOTION_BLOCKING: block => isMotionBlocking(block),
+    MOTION_BLOCKING_NO_LEAVES: block => isMotionBlocking(block) && !getBlockName(block).endsWith("_leaves"),
+    OCEAN_FLOOR: block => isMotionBlocking(block) && getBlockName(block) !== "water" && getBlockName(block) !== "lava"
+  };
+
+  const heightmaps = {};
+  for (const name in conditions) {
+
+    const heights = [];
+    for (let z = 0; z < 16; z ++) {
+      for (let x = 0; x < 16; x ++) {
+        let height = 0;
+        for (let y = MAX_SECTION * 16 + 15; y >= MIN_SECTION * 16; y --) {
+          if (!conditions[name](getBlock(x, y, z))) continue;
+          height = y - MIN_SECTION * 16 + 1;
+          break;
+        }
+        heights.push(height);
+      }
+    }
+
+    // Heights are stored with enough bits to fit the world's height
+    const bits = Math.ceil(Math.log2((MAX_SECTION - MIN_SECTION + 1) * 16 + 1));
+    heightmaps[name] = { type: "longArray", value: packLongs(heights, bits) };
+
+  }
+
+  return { type: "compound", value: heightmaps };
+
+}
+
+// Solid blocks which let light through without dimming it
+const TRANSPARENT_BLOCKS = [
+  "glass", "*_glass", "tinted_glass", "slime_block", "honey_block",
+  "spawner", "barrier", "beacon"
+].map(c => new Bun.Glob(c));
+// Blocks which dim light by one level, on top of the usual falloff
+const TRANSLUCENT_BLOCKS = new Set([ "water", "bubble_column", "ice", "frosted_ice" ]);
+// Light levels emitted by light sources
+const LIGHT_EMISSION = {
+  lava: 15,
+  fire: 15,
+  glowstone: 15,
+  sea_lantern: 15,
+  shroomlight: 15,
+  jack_o_lantern: 15,
+  lantern: 15,
+  beacon: 15,
+  torch: 14,
+  wall_torch: 14,
+  soul_fire: 10,
+  soul_torch: 10,
+  soul_wall_torch: 10,
+  soul_lantern: 10,
+  glow_lichen: 7,
+  magma_block: 3
+};
+// Light opacity of each block name checked so far
+const lightOpacityCache = new Map();
+
+// Returns how many levels of light the block takes away when passing through it
+function getLightOpacity (state) {
+  const block = getBlockName(state).replace("minecraft:", "");
+  if (lightOpacityCache.has(block)) return lightOpacityCache.get(block);
+  let opacity = 15;
+  if (block.endsWith("_leaves") || TRANSLUCENT_BLOCKS.has(block)) opacity = 1;
+  else if (!isSolidBlock(block) || TRANSPARENT_BLOCKS.some(c => c.match(block))) opacity = 0;
+  lightOpacityCache.set(block, opacity);
+  return opacity;
+}
+
+// Returns the light level emitted by the block
+function getLightEmission (state) {
+  const block = getBlockName(state);
+  // Redstone ores only glow after being touched
+  if (block.endsWith("redstone_ore")) {
+    return parseBlockState(state).properties.lit === "true" ? 9 : 0;
+  }
+  return LIGHT_EMISSION[block] || 0;
+}
+
+// Spreads light outward from the queued indices of a light level array,
+// which spans `width` blocks along the X and Z axes
+function spreadLight (light, opacity, queue, width) {
+  const layer = width * width;
+  for (let q = 0; q < queue.length; q ++) {
+
+    const i = queue[q];
+    const x = i % width;
+    const z = Math.floor(i / width) % width;
+
+    const neighbors = [];
+    if (x > 0) neighbors.push(i - 1);
+    if (x < width - 1) neighbors.push(i + 1);
+    if (z > 0) neighbors.push(i - width);
+    if (z < width - 1) neighbors.push(i + width);
+    if (i >= layer) neighbors.push(i - layer);
+    if (i + layer < light.length) neighbors.push(i + layer);
+
+    for (const j of neighbors) {
+      const level = light[i] - Math.max(1, opacity[j]);
+      if (level <= light[j]) continue;
+      light[j] = level;
+      queue.push(j);
+    }
+
+  }
+}
+
+/**
+ * Computes sky light and block light levels for a chunk. Sky light
+ * shines straight down from the top of the world until obstructed,
+ * and both kinds of light then spread out, dimming with each step.
+ *
+ * Blocks within `margin` blocks around the chunk are lit too, so that
+ * light can cross the chunk's borders. A margin of 15 is enough for
+ * light from anywhere to be accounted for.
+ *
+ * @param {function} getBlock - Returns the block at chunk-relative X, absolute Y, and chunk-relative Z
+ * @param {number} [margin=0] - Distance around the chunk to include
+ *
+ * @return {{ sky: Uint8Array, block: Uint8Array }} Light levels of the
+ *         chunk in YZX order, starting from the bottom of the world
+ */
+function computeLight (getBlock, margin = 0) {
+
+  const width = 16 + margin * 2;
+  const layer = width * width;
+  const height = (MAX_SECTION - MIN_SECTION + 1) * 16;
+  const size = height * layer;
+
+  const opacity = new Uint8Array(size);
+  const sky = new Uint8Array(size);
+  const block = new Uint8Array(size);
+  const skyQueue = [], blockQueue = [];
+
+  for (let i = 0; i < size; i ++) {
+    const x = i % width - margin;
+    const z = Math.floor(i / width) % width - margin;
+    const state = getBlock(x, Math.floor(i / layer) + MIN_SECTION * 16, z);
+    opacity[i] = getLightOpacity(state);
+    block[i] = getLightEmission(state);
+    if (block[i] > 0) blockQueue.push(i);
+  }
+
+  for (let column = 0; column < layer; column ++) {
+    let level = 15;
+    for (let i = size - layer + column; i >= 0; i -= layer) {
+      level = Math.max(0, level - opacity[i]);
+      if (level === 0) break;
+      sky[i] = level;
+      skyQueue.push(i);
+    }
+  }
+
+  spreadLight(sky, opacity, skyQueue, width);
+  spreadLight(block, opacity, blockQueue, width);
+
+  if (margin === 0) return { sky, block };
+
+  // Crop the margin back off
+  const chunkSky = new Uint8Array(height * 256);
+  const chunkBlock = new Uint8Array(height * 256);
+  for (let y = 0; y < height; y ++) {
+    for (let z = 0; z < 16; z ++) {
+      const from = y * layer + (z + margin) * width + margin;
+      const to = y * 256 + z * 16;
+      chunkSky.set(sky.subarray(from, from + 16), to);
+      chunkBlock.set(block.subarray(from, from + 16), to);
+    }
+  }
+  return { sky: chunkSky, block: chunkBlock };
+
+}
+
+// Packs 4096 light levels starting at the given index into a nibble array
+function packNibbles (light, start) {
+  const nibbles = new Array(2048);
+  for (let i = 0; i < 2048; i ++) {
+    nibbles[i] = (light[start + i * 2] & 0xF) | ((light[start + i * 2 + 1] & 0xF) << 4);
+  }
+  return nibbles;
+}
+
+const SECTOR_SIZE = 4096;
+// Chunks needing more sectors than this are stored in external files
+const MAX_CHUNK_SECTORS = 255;
+// Compression type flag marking chunks stored in external files
+const EXTERNAL_FLAG = 128;
+
+/**
+ * Reads the compressed data of a chunk from a region file, or from its
+ * external `c.x.z.mcc` file if the chunk is stored externally.
+ *
+ * @param {Uint8Array} r - Region file byte buffer
+ * @param {number} i - Index of the chunk within the region
+ * @param {number} _x - Chunk X coordinate
+ * @param {number} _z - Chunk Z coordinate
+ * @param {string|null} regionDir - Directory containing external chunk files
+ *
+ * @return {Uint8Array|null} Compressed chunk data, or null if missing
+ */
+async function readChunkData (r, i, _x, _z, regionDir) {
+
+  const offset = (r[i * 4] << 16) + (r[i * 4 + 1] << 8) + r[i * 4 + 2];
+  const sectors = r[i * 4 + 3];
+  if (offset < 2 || sectors === 0) return null;
+
+  const start = offset * SECTOR_SIZE;
+  const length = (r[start] << 24) + (r[start + 1] << 16) + (r[start + 2] << 8) + r[start + 3];
+  const compression = r[start + 4];
+
+  if (compression & EXTERNAL_FLAG) {
+    if (!regionDir) return null;
+    const file = Bun.file(`${regionDir}/c.${_x}.${_z}.mcc`);
+    if (!(await file.exists())) return null;
+    return await file.bytes();
+  }
+
+  // The length includes the compression byte, so this reads one byte
+  // too many, which is harmless for zlib streams.
+  return r.slice(start + 5, start + 5 + length);
+
+}
+
+/**
+ * Finds a free run of sectors in a region file, ignoring the sectors
+ * currently used by the given chunk. If there is no large enough gap,
+ * returns the offset at which the file would have to grow.
+ *
+ * @param {Uint8Array} r - Region file byte buffer
+ * @param {number} skip - Index of the chunk being reallocated
+ * @param {number} count - Number of sectors needed
+ *
+ * @return {number} Sector offset of the free run
+ */
+function findFreeSectors (r, skip, count) {
+
+  const total = Math.ceil(r.length / SECTOR_SIZE);
+  const used = new Set([0, 1]);
+
+  for (let i = 0; i < 1024; i ++) {
+    if (i === skip) continue;
+    const offset = (r[i * 4] << 16) + (r[i * 4 + 1] << 8) + r[i * 4 + 2];
+    const sectors = r[i * 4 + 3];
+    for (let j = 0; j < sectors; j ++) used.add(offset + j);
+  }
+
+  let run = 0;
+  for (let i = 2; i < total; i ++) {
+    if (used.has(i)) run = 0;
+    else if (++run === count) return i - count + 1;
+  }
+  return total - run;
+
+}
+
+/**
+ * Writes compressed chunk data to a region file, moving the chunk to a
+ * new range of sectors if it no longer fits in its old one, and updating
+ * the location and timestamp tables. Chunks too large for a region file
+ * are written to an external `c.x.z.mcc` file instead.
+ *
+ * @param {Uint8Array} r - Region file byte buffer
+ * @param {number} i - Index of the chunk within the region
+ * @param {number} _x - Chunk X coordinate
+ * @param {number} _z - Chunk Z coordinate
+ * @param {Uint8Array} compressed - zlib-compressed chunk NBT data
+ * @param {string|null} regionDir - Directory for external chunk files
+ *
+ * @return {Uint8Array} Region file byte buffer, reallocated if it grew
+ */
+async function writeChunkData (r, i, _x, _z, compressed, regionDir) {
+
+  let payload = compressed;
+  let compression = 2; // zlib
+
+  const externalPath = regionDir && `${regionDir}/c.${_x}.${_z}.mcc`;
+  if (Math.ceil((compressed.length + 5) / SECTOR_SIZE) > MAX_CHUNK_SECTORS) {
+    if (!externalPath) {
+      throw new Error(`Chunk (${_x} ${_z}) is too large for a region file`);
+    }
+    await Bun.write(externalPath, compressed);
+    payload = new Uint8Array(0);
+    compression |= EXTERNAL_FLAG;
+  } else if (externalPath) {
+    await fs.rm(externalPath, { force: true });
+  }
+
+  const sectors = Math.ceil((payload.length + 5) / SECTOR_SIZE);
+
+  // Keep the chunk where it is if it still fits, otherwise reallocate it
+  let offset = (r[i * 4] << 16) + (r[i * 4 + 1] << 8) + r[i * 4 + 2];
+  if (offset < 2 || sectors > r[i * 4 + 3]) {
+    offset = findFreeSectors(r, i, sectors);
+  }
+
+  // Grow the region file if the chunk extends past its end
+  const start = offset * SECTOR_SIZE;
+  const end = start + sectors * SECTOR_SIZE;
+  if (end > r.length) {
+    const grown = new Uint8Array(end);
+    grown.set(r);
+    r = grown;
+  }
+
+  // Encode chunk data length (including compression byte)
+  const length = payload.length + 1;
+  r.fill(0, start, end);
+  r[start + 0] = (length >> 24) & 0xFF;
+  r[start + 1] = (length >> 16) & 0xFF;
+  r[start + 2] = (length >> 8) & 0xFF;
+  r[start + 3] = length & 0xFF;
+  r[start + 4] = compression;
+  r.set(payload, start + 5);
+
+  // Update location table
+  r[i * 4 + 0] = (offset >> 16) & 0xFF;
+  r[i * 4 + 1] = (offset >> 8) & 0xFF;
+  r[i * 4 + 2] = offset & 0xFF;
+  r[i * 4 + 3] = sectors;
+
+  // Update timestamp table
+  const timestamp = Math.floor(Date.now() / 1000);
+  r[SECTOR_SIZE + i * 4 + 0] = (timestamp >> 24) & 0xFF;
+  r[SECTOR_SIZE + i * 4 + 1] = (timestamp >> 16) & 0xFF;
+  r[SECTOR_SIZE + i * 4 + 2] = (timestamp >> 8) & 0xFF;
+  r[SECTOR_SIZE + i * 4 + 3] = timestamp & 0xFF;
+
+  return r;
+
+}
+
 /**
  * Extracts block arrays from a region (.mca) file.
  *
@@ -19,10 +698,11 @@ const Vector = require("./Vector.js");
  * @param {[Vector, Vector]} bounds - Relative boundaries of "blocks" array
  * @param {BigInt|null} [expectHash=null] - Expected hash for first chunk
  *                      If value matches, function exits early with `null`
+ * @param {string|null} [regionDir=null] - Directory containing external chunk files
  *
  * @return {BigInt|null} First chunk hash on success, null otherwise
  */
-async function regionToBlocks (r, blocks, rx, rz, bounds, expectHash = null) {
+async function regionToBlocks (r, blocks, rx, rz, bounds, expectHash = null, regionDir = null) {
 
   let firstChunkHash = null;
 
@@ -39,13 +719,11 @@ async function regionToBlocks (r, blocks, rx, rz, bounds, expectHash = null) {
     if (_z < Math.floor(Z_MIN / 16)) continue;
     if (_z >= Z_MAX / 16) continue;
 
-    const offset = (r[i * 4] << 16) + (r[i * 4 + 1] << 8) + r[i * 4 + 2];
-    const sectors = r[i * 4 + 3];
-
-    const length = (r[offset * 4096] << 24) + (r[offset * 4096 + 1] << 16) + (r[offset * 4096 + 2] << 8) + r[offset * 4096 + 3];
-    const compression = r[offset * 4096 + 4];
-
-    const compressedData = r.slice(offset * 4096 + 5, offset * 4096 + 5 + length);
+    const compressedData = await readChunkData(r, i, _x, _z, regionDir);
+    if (compressedData === null) {
+      console.warn(`Warning: Chunk (${_x} ${_z}) in r.${rx}.${rz} is missing`);
+      return null;
+    }
 
     if (firstChunkHash === null) {
       firstChunkHash = Bun.hash(compressedData);
@@ -69,7 +747,14 @@ async function regionToBlocks (r, blocks, rx, rz, bounds, expectHash = null) {
       if (!("block_states" in section)) continue;
 
       const _y = section["Y"].value;
-      const palette = section.block_states.value.palette.value.value.map(c => c["Name"].value.split("minecraft:")[1]);
+      const palette = section.block_states.value.palette.value.value.map(function (c) {
+        const name = c["Name"].value.replace(/^minecraft:/, "");
+        const properties = {};
+        for (const key in c["Properties"]?.value) {
+          properties[key] = c["Properties"].value[key].value;
+        }
+        return formatBlockState(name, properties);
+      });
 
       // If no block data is present, infer from palette
       if (!("data" in section.block_states.value)) {
@@ -100,25 +785,22 @@ async function regionToBlocks (r, blocks, rx, rz, bounds, expectHash = null) {
       if (_y < Math.floor(Y_MIN / 16)) continue;
       if (_y >= Y_MAX / 16) continue;
 
-      for (let j = 0; j < longs.length; j ++) {
-        for (let k = 0; k < 16; k ++) {
+      const ids = unpackLongs(longs, getBitsPerEntry(palette.length), 4096);
 
-          const shift = k < 8 ? (28 - k * 4) : (28 - (k - 8) * 4);
-          const id = (longs[j][k < 8 ? 0 : 1] >> shift) & 0b1111;
+      for (let j = 0; j < ids.length; j ++) {
 
-          const x = _x * 16 + 15 - k;
-          const y = _y * 16 + Math.floor(j / 16);
-          const z = _z * 16 + Math.floor(j % 16);
+        const x = _x * 16 + (j % 16);
+        const y = _y * 16 + Math.floor(j / 256);
+        const z = _z * 16 + (Math.floor(j / 16) % 16);
 
-          if (
-            x < X_MIN || x >= X_MAX ||
-            y < Y_MIN || y >= Y_MAX ||
-            z < Z_MIN || z >= Z_MAX
-          ) continue;
+        if (
+          x < X_MIN || x >= X_MAX ||
+          y < Y_MIN || y >= Y_MAX ||
+          z < Z_MIN || z >= Z_MAX
+        ) continue;
 
-          blocks[x - X_MIN][y - Y_MIN][z - Z_MIN] = palette[id];
+        blocks[x - X_MIN][y - Y_MIN][z - Z_MIN] = palette[ids[j]];
 
-        }
       }
 
     }
@@ -132,15 +814,25 @@ async function regionToBlocks (r, blocks, rx, rz, bounds, expectHash = null) {
 /**
  * Applies the given block array to a region file.
  *
- * @param {[[[string]]]} blocks - 3D (X, Y, Z) array of block name strings
+ * @param {[[[string]]]} blocks - 3D (X, Y, Z) array of block state strings
  * @param {Uint8Array} r - Region file byte buffer
  * @param {number} rx - Region file X coordinate
  * @param {number} rz - Region file Z coordinate
  * @param {[Vector, Vector]} bounds - Relative boundaries of "blocks" array
+ * @param {string|null} [regionDir=null] - Directory for external chunk files
+ * @param {Object[]} [blockEntities=[]] - Block entity compounds to add, replacing
+ *                                        any existing block entities at their positions
+ * @param {function|null} [getWorldBlock=null] - Returns the block at absolute
+ *                                             coordinates around the chunk, for
+ *                                             lighting across its borders. The chunk
+ *                                             gets marked as lit, so the blocks must be
+ *                                             final. Without it, the game is left to
+ *                                             redo lighting.
  *
- * @return {Uint8Array} Contents of `r` after modification
+ * @return {Uint8Array} Contents of `r` after modification, which may be a
+ *                      new buffer if the region file had to grow
  */
-async function blocksToRegion (blocks, r, rx, rz, bounds) {
+async function blocksToRegion (blocks, r, rx, rz, bounds, regionDir = null, blockEntities = [], getWorldBlock = null) {
 
   const [X_MIN, Y_MIN, Z_MIN] = bounds[0].toArray();
   const [X_MAX, Y_MAX, Z_MAX] = bounds[1].toArray();
@@ -155,24 +847,53 @@ async function blocksToRegion (blocks, r, rx, rz, bounds) {
     if (_z < Math.floor(Z_MIN / 16)) continue;
     if (_z >= Z_MAX / 16) continue;
 
-    const offset = (r[i * 4] << 16) + (r[i * 4 + 1] << 8) + r[i * 4 + 2];
-    const sectors = r[i * 4 + 3];
+    const compressedData = await readChunkData(r, i, _x, _z, regionDir);
 
-    const length = (r[offset * 4096] << 24) + (r[offset * 4096 + 1] << 16) + (r[offset * 4096 + 2] << 8) + r[offset * 4096 + 3];
-    const compressedData = r.slice(offset * 4096 + 5, offset * 4096 + 5 + length);
+    let json;
+    if (compressedData === null) {
+      // Create chunks which haven't been generated yet from scratch
+      json = createChunk(_x, _z);
+    } else {
+
+      let data;
+      try {
+        data = await unzip(compressedData);
+      } catch (e) {
+        console.warn(`Warning: Chunk (${_x} ${_z}) in r.${rx}.${rz} has likely been corrupted`);
+        console.warn(e);
+        continue;
+      }
+
+      json = await new Promise(function (resolve, reject) {
+        nbt.parse(data, (err, res) => resolve(res));
+      });
+
+      // Make sure every section of the world's height is present
+      const sections = json.value.sections.value.value;
+      for (let _y = MIN_SECTION; _y <= MAX_SECTION; _y ++) {
+        if (sections.find(c => c["Y"].value === _y)) continue;
+        sections.push(createSection(_y));
+      }
+      sections.sort((a, b) => a["Y"].value - b["Y"].value);
 
-    let data;
-    try {
-      data = await unzip(compressedData);
-    } catch (e) {
-      console.warn(`Warning: Chunk (${_x} ${_z}) in r.${rx}.${rz} has likely been corrupted`);
-      console.warn(e);
-      continue;
     }
 
-    const json = await new Promise(function (resolve, reject) {
-      nbt.parse(data, (err, res) => resolve(res));
-    });
+    // Returns the block at chunk-relative X/Z and absolute Y coordinates
+    const getBlock = function (x, y, z) {
+      const [absX, absZ] = [_x * 16 + x, _z * 16 + z];
+      if (
+        absX < X_MIN || absX >= X_MAX ||
+        y < Y_MIN || y >= Y_MAX ||
+        absZ < Z_MIN || absZ >= Z_MAX
+      ) return "air";
+      return blocks[absX - X_MIN][y - Y_MIN][absZ - Z_MIN];
+    };
+
+    // Light only crosses chunk borders if neighboring blocks are known
+    const light = getWorldBlock ? computeLight(function (x, y, z) {
+      if (x >= 0 && x < 16 && z >= 0 && z < 16) return getBlock(x, y, z);
+      return getWorldBlock(_x * 16 + x, y, _z * 16 + z);
+    }, 15) : computeLight(getBlock);
 
     for (const section of json.value.sections.value.value) {
 
@@ -180,6 +901,7 @@ async function blocksToRegion (blocks, r, rx, rz, bounds) {
       const palette = [];
 
       const _y = section["Y"].value;
+      if (_y < MIN_SECTION || _y > MAX_SECTION) continue;
 
       for (let y = _y * 16; y < _y * 16 + 16; y ++) {
         for (let z = _z * 16; z < _z * 16 + 16; z ++) {
@@ -204,13 +926,7 @@ async function blocksToRegion (blocks, r, rx, rz, bounds) {
         }
       }
 
-      const longs = [];
-      for (let j = 0; j < ids.length; j += 16) {
-        longs.push([
-          (ids[j + 15] << 28) + (ids[j + 14] << 24) + (ids[j + 13] << 20) + (ids[j + 12] << 16) + (ids[j + 11] << 12) + (ids[j + 10] << 8) + (ids[j + 9] << 4) + (ids[j + 8]),
-          (ids[j + 7] << 28) + (ids[j + 6] << 24) + (ids[j + 5] << 20) + (ids[j + 4] << 16) + (ids[j + 3] << 12) + (ids[j + 2] << 8) + (ids[j + 1] << 4) + (ids[j + 0]),
-        ]);
-      }
+      const longs = packLongs(ids, getBitsPerEntry(palette.length));
 
       section.block_states = {
         type: "compound",
@@ -219,12 +935,22 @@ async function blocksToRegion (blocks, r, rx, rz, bounds) {
             type: "list",
             value: {
               type: "compound",
-              value: palette.map(name => ({
-                Name: {
-                  type: "string",
-                  value: "minecraft:" + name
+              value: palette.map(function (state) {
+                const { name, properties } = parseBlockState(state);
+                const entry = {
+                  Name: {
+                    type: "string",
+                    value: name.includes(":") ? name : "minecraft:" + name
+                  }
+                };
+                if (Object.keys(properties).length > 0) {
+                  entry["Properties"] = { type: "compound", value: {} };
+                  for (const key in properties) {
+                    entry["Properties"].value[key] = { type: "string", value: properties[key] };
+                  }
                 }
-              }))
+                return entry;
+              })
             }
           },
         }
@@ -239,7 +965,11 @@ async function blocksToRegion (blocks, r, rx, rz, bounds) {
 
       section["SkyLight"] = {
         type: "byteArray",
-        value: (new Array(2048)).fill(-1)
+        value: packNibbles(light.sky, (_y - MIN_SECTION) * 4096)
+      };
+      section["BlockLight"] = {
+        type: "byteArray",
+        value: packNibbles(light.block, (_y - MIN_SECTION) * 4096)
       };
 
       if (palette.length === 1) {
@@ -248,25 +978,39 @@ async function blocksToRegion (blocks, r, rx, rz, bounds) {
 
     }
 
+    // Add block entities within this chunk
+    const chunkEntities = blockEntities.filter(c => (
+      Math.floor(c.x.value / 16) === _x &&
+      Math.floor(c.z.value / 16) === _z
+    ));
+    if (chunkEntities.length > 0) {
+      const positions = new Set(chunkEntities.map(c => `${c.x.value},${c.y.value},${c.z.value}`));
+      const existing = json.value.block_entities?.value.value || [];
+      json.value.block_entities = {
+        type: "list",
+        value: {
+          type: "compound",
+          value: existing
+            .filter(c => !positions.has(`${c.x.value},${c.y.value},${c.z.value}`))
+            .concat(chunkEntities)
+        }
+      };
+    }
+
+    json.value.Heightmaps = computeHeightmaps(getBlock);
+    // Let the game know whether lighting is complete, or has to be redone
+    json.value.isLightOn = { type: "byte", value: getWorldBlock ? 1 : 0 };
+
     const output = nbt.writeUncompressed(json);
     const compressed = await deflate(output);
 
-    const newLength = compressed.length;
-    if (newLength + 5 > 4096) {
-      console.warn(`Warning: Chunk (${_x} ${_z}) exceeds available space. Expect a missing chunk.`);
-      continue;
+    try {
+      r = await writeChunkData(r, i, _x, _z, compressed, regionDir);
+    } catch (e) {
+      console.warn(`Warning: Failed to write chunk (${_x} ${_z}) in r.${rx}.${rz}`);
+      console.warn(e);
     }
 
-    r.set(compressed, offset * 4096 + 5);
-
-    // Encode chunk data length
-    r[offset * 4096 + 3] = newLength & 0xFF;
-    r[offset * 4096 + 2] = (newLength >> 8) & 0xFF;
-    r[offset * 4096 + 1] = (newLength >> 16) & 0xFF;
-    r[offset * 4096 + 0] = (newLength >> 24) & 0xFF;
-    // Set compression to zlib
-    r[offset * 4096 + 4] = 2;
-
   }
 
   return r;
@@ -281,7 +1025,12 @@ const regionFileCache = {};
  * @param {string} worldPath - Path to the Minecraft world directory
  */
 async function fillRegionFileCache (worldPath) {
-  const files = await fs.readdir(`${worldPath}/region`);
+  let files;
+  try {
+    files = await fs.readdir(`${worldPath}/region`);
+  } catch {
+    return;
+  }
   for (const file of files) {
     if (file.startsWith("r.") && file.endsWith(".mca")) {
       const path = `${worldPath}/region/${file}`;
@@ -310,7 +1059,9 @@ async function forRegion (worldPath, callback, bounds) {
       const mcaFile = `r.${rx}.${rz}.mca`;
       const path = `${worldPath}/region/${mcaFile}`;
 
-      const bytes = await Bun.file(path).bytes();
+      // Start with an empty region if the file doesn't exist yet
+      const file = Bun.file(path);
+      const bytes = await file.exists() ? await file.bytes() : new Uint8Array(SECTOR_SIZE * 2);
       const checksum = Bun.hash(bytes);
 
       if (regionFileCache[mcaFile]?.checksum !== checksum) {
@@ -325,6 +1076,16 @@ async function forRegion (worldPath, callback, bounds) {
 }
 
 module.exports = {
+  parseBlockState,
+  formatBlockState,
+  getBlockName,
+  isSolidBlock,
+  getBitsPerEntry,
+  unpackLongs,
+  packLongs,
+  readDataVersion,
+  readPlayerFile,
+  createSignEntity,
   regionToBlocks,
   blocksToRegion,
   forRegion,
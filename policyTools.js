@@ -0,0 +1,81 @@
+/**
+ * Default policy for deciding what a changed mapped block means,
+ * depending on the block which replaced it. Block names may be
+ * glob patterns. Checked in the following order:
+ *
+ * escalate - Replacements which always count as removal
+ * resync   - Natural transformations of a block, which just update
+ *            the block that the file is mapped to
+ * ignore   - Replacements which are ignored, keeping the file mapped
+ * remove   - Replacements which count as removal
+ *
+ * Replacements not listed anywhere are ignored.
+ */
+const DEFAULT_POLICY = {
+  escalate: [],
+  resync: {
+    "grass_block": ["dirt", "farmland", "dirt_path"],
+    "dirt": ["grass_block", "farmland", "dirt_path"],
+    "stone": ["*_ore"]
+  },
+  ignore: ["water", "lava", "bubble_column"],
+  remove: ["*"]
+};
+
+// Compiled removal policy, see `setRemovalPolicy`
+let policy;
+
+function compileGlobs (patterns) {
+  return patterns.map(c => new Bun.Glob(c));
+}
+
+function matchesAny (globs, block) {
+  return globs.some(c => c.match(block));
+}
+
+/**
+ * Sets the policy used by `classifyChange`. Each list in the given
+ * configuration replaces the respective default list.
+ *
+ * @param {Object} [config={}] - Removal policy, see `DEFAULT_POLICY`
+ */
+function setRemovalPolicy (config = {}) {
+  const merged = { ...DEFAULT_POLICY, ...config };
+  const resync = [];
+  for (const block in merged.resync) {
+    resync.push({
+      glob: new Bun.Glob(block),
+      replacements: compileGlobs(merged.resync[block])
+    });
+  }
+  policy = {
+    escalate: compileGlobs(merged.escalate),
+    resync,
+    ignore: compileGlobs(merged.ignore),
+    remove: compileGlobs(merged.remove)
+  };
+}
+setRemovalPolicy();
+
+/**
+ * Decides how to treat a mapped block which has been replaced.
+ *
+ * @param {string} expected - Name of the block the file is mapped to
+ * @param {string} replacement - Name of the block found in its place
+ *
+ * @returns {"remove"|"resync"|"ignore"} How to treat the change
+ */
+function classifyChange (expected, replacement) {
+  if (matchesAny(policy.escalate, replacement)) return "remove";
+  if (policy.resync.some(c => c.glob.match(expected) && matchesAny(c.replacements, replacement))) {
+    return "resync";
+  }
+  if (matchesAny(policy.ignore, replacement)) return "ignore";
+  if (matchesAny(policy.remove, replacement)) return "remove";
+  return "ignore";
+}
+
+module.exports = {
+  setRemovalPolicy,
+  classifyChange
+};
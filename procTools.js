@@ -1,5 +1,73 @@
+const fs = require("node:fs");
+const path = require("node:path");
 const { $ } = require("bun");
 
+/**
+ * Scans `/proc` for processes which have any of the given files open,
+ * either as file descriptors or as memory-mapped files. Linux only.
+ *
+ * @param {string[]} paths - Absolute paths to files
+ * @returns {{ owners: Map<string, number[]>, denied: number[] }}
+ *   PIDs owning a handle to each file, and PIDs which couldn't be inspected
+ */
+function scanProcHandles (paths) {
+
+  const owners = new Map(paths.map(c => [c, []]));
+  const denied = [];
+
+  // Handles point to resolved paths, so map those back to the input paths
+  const targets = new Map();
+  for (const filePath of paths) {
+    let realPath = filePath;
+    try { realPath = fs.realpathSync(filePath) } catch { }
+    if (!targets.has(realPath)) targets.set(realPath, []);
+    targets.get(realPath).push(filePath);
+  }
+
+  for (const item of fs.readdirSync("/proc")) {
+
+    const pid = Number(item);
+    if (!Number.isInteger(pid) || pid === process.pid) continue;
+
+    let fds;
+    try {
+      fds = fs.readdirSync(`/proc/${pid}/fd`);
+    } catch (e) {
+      // Processes may exit while being scanned, which isn't worth reporting
+      if (e.code === "EACCES" || e.code === "EPERM") denied.push(pid);
+      continue;
+    }
+
+    const found = new Set();
+    for (const fd of fds) {
+      try {
+        const target = fs.readlinkSync(`/proc/${pid}/fd/${fd}`);
+        if (targets.has(target)) found.add(target);
+      } catch { }
+    }
+
+    try {
+      const maps = fs.readFileSync(`/proc/${pid}/maps`, "utf8").split("\n");
+      for (const line of maps) {
+        const start = line.indexOf("/");
+        if (start === -1) continue;
+        const target = line.slice(start).replace(/ \(deleted\)$/, "");
+        if (targets.has(target)) found.add(target);
+      }
+    } catch { }
+
+    for (const target of found) {
+      for (const filePath of targets.get(target)) {
+        owners.get(filePath).push(pid);
+      }
+    }
+
+  }
+
+  return { owners, denied };
+
+}
+
 /**
  * Returns a list of PIDs that own a handle to the given file.
  *
@@ -7,32 +75,51 @@ const { $ } = require("bun");
  * @returns {number[]} - Array of process IDs
  */
 async function getHandleOwners (path) {
-  try {
-    if (process.platform === "win32") {
-      // Use handle.exe on Windows
-      const { stdout, stderr } = await $`handle.exe -p -u "${path}"`.quiet();
-      // Parse handle.exe output to extract PIDs
-      const pids = [];
-      const lines = stdout.trim().split("\n");
-      for (const line of lines) {
-        if (line.includes(path)) {
-          const pidMatch = line.match(/(\d+)/);
-          if (pidMatch) {
-            pids.push(parseInt(pidMatch[1], 10));
-          }
+  if (process.platform === "win32") {
+    // Use handle.exe on Windows
+    const { stdout, stderr } = await $`handle.exe -p -u "${path}"`.quiet().nothrow();
+    // Parse handle.exe output to extract PIDs
+    const pids = [];
+    const lines = stdout.toString().trim().split("\n");
+    for (const line of lines) {
+      if (line.includes(path)) {
+        const pidMatch = line.match(/(\d+)/);
+        if (pidMatch) {
+          pids.push(parseInt(pidMatch[1], 10));
         }
       }
-      return pids;
-    } else {
-      // Use lsof on Unix-like systems
-      const { stdout, stderr } = await $`lsof -F p "${path}"`.quiet();
-      return stdout.trim().split("\n").map(c => parseInt(c.slice(1), 10));
     }
-  } catch (e) {
-    return [];
+    return pids;
+  } else if (process.platform === "linux") {
+    return scanProcHandles([path]).owners.get(path);
+  } else {
+    // Use lsof on other Unix-like systems, which exits with 1 if nothing was found
+    const { stdout, stderr, exitCode } = await $`lsof -F p "${path}"`.quiet().nothrow();
+    if (exitCode === 1 && !stderr.toString().trim()) return [];
+    if (exitCode !== 0) throw new Error(`lsof failed: ${stderr.toString().trim()}`);
+    return stdout.toString().trim().split("\n")
+      .filter(c => c.startsWith("p"))
+      .map(c => parseInt(c.slice(1), 10));
   }
 }
 
+/**
+ * Finds the owners of handles to many files at once. On Linux, this
+ * takes a single pass over all processes.
+ *
+ * @param {string[]} paths - Absolute paths to files
+ * @returns {{ owners: Map<string, number[]>, denied: number[] }}
+ *   PIDs owning a handle to each file, and PIDs which couldn't be inspected
+ */
+async function findHandleOwners (paths) {
+  if (process.platform === "linux") return scanProcHandles(paths);
+  const owners = new Map();
+  for (const filePath of paths) {
+    owners.set(filePath, await getHandleOwners(filePath));
+  }
+  return { owners, denied: [] };
+}
+
 /**
  * Kills the given process by PID
  *
@@ -41,15 +128,138 @@ async function getHandleOwners (path) {
  */
 async function killProcess (pid, signal = 9) {
   if (process.platform === "win32") {
-    // Use taskkill on Windows
-    await $`taskkill /PID ${pid} /F`.quiet();
+    // Use taskkill on Windows, only forcing termination for SIGKILL
+    if (signal === 9) await $`taskkill /PID ${pid} /F`.quiet();
+    else await $`taskkill /PID ${pid}`.quiet();
   } else {
     // Use kill on Unix-like systems
     await $`kill ${"-" + signal} ${pid}`.quiet();
   }
 }
 
+/**
+ * Names of processes which are never killed, regardless of configuration.
+ * Covers init systems, desktop sessions, common system daemons, and the
+ * Java runtime running the game itself.
+ */
+const DEFAULT_NEVER_KILL = [
+  "init", "systemd", "launchd", "kernel_task", "loginwindow", "WindowServer", "Finder", "Dock",
+  "Xorg", "Xwayland", "gnome-shell", "plasmashell", "kwin_x11", "kwin_wayland", "sway", "mutter",
+  "sshd", "dbus-daemon", "dbus-broker", "pipewire", "pulseaudio", "NetworkManager", "polkitd",
+  "explorer.exe", "dwm.exe", "csrss.exe", "wininit.exe", "winlogon.exe", "services.exe", "lsass.exe", "svchost.exe",
+  "java", "javaw", "java.exe", "javaw.exe"
+];
+
+// Policy used by `checkHandleOwners` and `terminateProcess`
+let killPolicy = {
+  neverKill: new Set(DEFAULT_NEVER_KILL.map(c => c.toLowerCase())),
+  gracePeriod: 5000
+};
+
+/**
+ * Configures which processes may be killed, and how.
+ *
+ * @param {Object} config - Kill policy
+ * @param {string[]} [config.neverKill=[]] - Process names to never kill, in addition to the defaults
+ * @param {number} [config.gracePeriod=5000] - Milliseconds between SIGTERM and SIGKILL
+ */
+function setKillPolicy (config) {
+  killPolicy = {
+    neverKill: new Set(DEFAULT_NEVER_KILL.concat(config.neverKill || []).map(c => c.toLowerCase())),
+    gracePeriod: config.gracePeriod ?? 5000
+  };
+}
+
+/**
+ * Returns the name of the executable of a process.
+ *
+ * @param {number} pid - Process ID
+ * @returns {string|null} Process name, or null if it couldn't be found
+ */
+async function getProcessName (pid) {
+  try {
+    if (process.platform === "linux") {
+      return fs.readFileSync(`/proc/${pid}/comm`, "utf8").trim();
+    } else if (process.platform === "win32") {
+      const { stdout } = await $`tasklist /FI "PID eq ${pid}" /FO CSV /NH`.quiet();
+      return stdout.toString().split(",")[0].replaceAll("\"", "").trim() || null;
+    } else {
+      const { stdout } = await $`ps -p ${pid} -o comm=`.quiet();
+      return path.basename(stdout.toString().trim()) || null;
+    }
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Sorts the owners of a file handle into processes which may be
+ * killed, and ones which are spared by the kill policy.
+ *
+ * @param {number[]} pids - Array of process IDs
+ * @returns {{ killable: Object[], spared: Object[] }} Arrays of `{ pid, name, reason }`
+ */
+async function checkHandleOwners (pids) {
+
+  const killable = [], spared = [];
+
+  for (const pid of new Set(pids)) {
+    if (isNaN(pid)) continue;
+
+    const name = await getProcessName(pid);
+    let reason = null;
+
+    if (pid === process.pid) reason = "it is SaplingFS itself";
+    else if (pid === process.ppid) reason = "it started SaplingFS";
+    else if (pid <= 1) reason = "it is the init process";
+    else if (name && killPolicy.neverKill.has(name.toLowerCase())) reason = "it is on the never-kill list";
+
+    if (reason) spared.push({ pid, name, reason });
+    else killable.push({ pid, name, reason });
+  }
+
+  return { killable, spared };
+
+}
+
+// Checks whether a process is still running
+function isRunning (pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e.code === "EPERM";
+  }
+}
+
+/**
+ * Asks a process to terminate, and kills it if it's still running
+ * after the grace period.
+ *
+ * @param {number} pid - Process ID
+ */
+async function terminateProcess (pid) {
+
+  try {
+    await killProcess(pid, 15);
+  } catch (e) { }
+
+  const deadline = Date.now() + killPolicy.gracePeriod;
+  while (Date.now() < deadline) {
+    if (!isRunning(pid)) return;
+    await Bun.sleep(100);
+  }
+
+  if (isRunning(pid)) await killProcess(pid, 9);
+
+}
+
 module.exports = {
   getHandleOwners,
-  killProcess
+  findHandleOwners,
+  killProcess,
+  setKillPolicy,
+  getProcessName,
+  checkHandleOwners,
+  terminateProcess
 };
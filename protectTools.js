@@ -0,0 +1,113 @@
+const fs = require("node:fs");
+const path = require("node:path");
+
+/**
+ * Rules deciding which files may never be removed, in the format:
+ * {
+ *  globs: { glob: Bun.Glob, basename: boolean }[],
+ *  gitRepos: boolean,
+ *  recentDays: number,
+ *  largerThanMB: number,
+ *  otherUsers: boolean
+ * }
+ */
+let rules = {
+  globs: [],
+  gitRepos: false,
+  recentDays: 0,
+  largerThanMB: 0,
+  otherUsers: false
+};
+
+// Whether each directory checked so far is within a git repository
+const gitDirectoryCache = new Map();
+
+/**
+ * Sets the rules used by `getProtectionReason`.
+ *
+ * @param {Object} config - Protection rules
+ * @param {string[]} [config.globs=[]] - Glob patterns of protected paths,
+ *   matched against the file name if they contain no slash
+ * @param {boolean} [config.gitRepos=false] - Protect files within git repositories
+ * @param {number} [config.recentDays=0] - Protect files modified within this many days
+ * @param {number} [config.largerThanMB=0] - Protect files larger than this many megabytes
+ * @param {boolean} [config.otherUsers=false] - Protect files owned by other users
+ */
+function setProtectionRules (config) {
+  rules = {
+    // Patterns without a slash match the file name, like elsewhere
+    globs: (config.globs || []).map(c => ({
+      glob: new Bun.Glob(c.replaceAll(path.sep, "/")),
+      basename: !c.includes("/") && !c.includes(path.sep)
+    })),
+    gitRepos: !!config.gitRepos,
+    recentDays: config.recentDays || 0,
+    largerThanMB: config.largerThanMB || 0,
+    otherUsers: !!config.otherUsers && typeof process.getuid === "function"
+  };
+}
+
+// Checks whether a directory or any of its parents contains a `.git` entry
+function isInGitRepo (dirPath) {
+
+  if (gitDirectoryCache.has(dirPath)) return gitDirectoryCache.get(dirPath);
+
+  let result;
+  if (fs.existsSync(path.join(dirPath, ".git"))) {
+    result = true;
+  } else {
+    const parent = path.dirname(dirPath);
+    result = parent !== dirPath && isInGitRepo(parent);
+  }
+
+  gitDirectoryCache.set(dirPath, result);
+  return result;
+
+}
+
+/**
+ * Checks a file against the protection rules.
+ *
+ * @param {string} filePath - Absolute path to the file
+ * @returns {string|null} Why the file is protected, or null if it isn't
+ */
+function getProtectionReason (filePath) {
+
+  const slashPath = filePath.replaceAll(path.sep, "/");
+  for (const { glob, basename } of rules.globs) {
+    if (glob.match(basename ? path.basename(filePath) : slashPath)) {
+      return "it matches a protected pattern";
+    }
+  }
+
+  if (rules.gitRepos && isInGitRepo(path.dirname(filePath))) {
+    return "it is inside a git repository";
+  }
+
+  if (!rules.recentDays && !rules.largerThanMB && !rules.otherUsers) return null;
+
+  let stats;
+  try {
+    stats = fs.statSync(filePath);
+  } catch {
+    return null;
+  }
+
+  if (rules.recentDays && Date.now() - stats.mtimeMs < rules.recentDays * 1000 * 60 * 60 * 24) {
+    return `it was modified within the last ${rules.recentDays} days`;
+  }
+  if (rules.largerThanMB && stats.size > rules.largerThanMB * 1024 * 1024) {
+    return `it is larger than ${rules.largerThanMB} MB`;
+  }
+  if (rules.otherUsers && stats.uid !== process.getuid()) {
+    return "it is owned by another user";
+  }
+
+  return null;
+
+}
+
+module.exports = {
+  setProtectionRules,
+  getProtectionReason
+};
@@ -0,0 +1,136 @@
+const { describe, test, expect } = require("bun:test");
+
+const {
+  getBitsPerEntry,
+  unpackLongs,
+  packLongs,
+  blocksToRegion,
+  regionToBlocks
+} = require("../parseWorld.js");
+const Vector = require("../Vector.js");
+
+// Packed data captured from region files saved by the game
+const captured = require("./fixtures/packedLongs.json");
+
+describe("unpackLongs/packLongs", function () {
+
+  for (const { source, paletteLength, bits, count, longs } of captured) {
+    test(`round-trips ${source}`, function () {
+
+      const entryBits = bits || getBitsPerEntry(paletteLength);
+      const values = unpackLongs(longs, entryBits, count);
+
+      expect(values.length).toBe(count);
+      for (const value of values) {
+        expect(value).toBeLessThan(paletteLength || (1 << entryBits));
+      }
+      expect(packLongs(values, entryBits)).toEqual(longs);
+
+    });
+  }
+
+  test("covers values split between the two halves of a long", function () {
+    for (const { paletteLength, bits } of captured) {
+      const entryBits = bits || getBitsPerEntry(paletteLength);
+      const perLong = Math.floor(64 / entryBits);
+      const shifts = Array.from({ length: perLong }, (_, i) => i * entryBits);
+      expect(shifts.some(c => c < 32 && c + entryBits > 32)).toBe(true);
+    }
+  });
+
+  test("splits a value across the two halves of a long", function () {
+    // With 5 bits per value, the seventh value starts at bit 30
+    const values = [0, 0, 0, 0, 0, 0, 0b11111];
+    const longs = packLongs(values, 5);
+    expect(longs).toEqual([[0b111, 0b11 << 30]]);
+    expect(unpackLongs(longs, 5, values.length)).toEqual(values);
+  });
+
+});
+
+describe("getBitsPerEntry", function () {
+
+  test("uses at least 4 bits", function () {
+    expect(getBitsPerEntry(1)).toBe(4);
+    expect(getBitsPerEntry(16)).toBe(4);
+  });
+
+  test("uses enough bits for larger palettes", function () {
+    expect(getBitsPerEntry(17)).toBe(5);
+    expect(getBitsPerEntry(35)).toBe(6);
+    expect(getBitsPerEntry(128)).toBe(7);
+    expect(getBitsPerEntry(129)).toBe(8);
+  });
+
+});
+
+describe("blocksToRegion/regionToBlocks", function () {
+
+  // Creates a block array spanning one chunk from Y -64 to 128, filled with air
+  function createBlocks () {
+    return Array.from({ length: 16 }, () => (
+      Array.from({ length: 192 }, () => new Array(16).fill("air"))
+    ));
+  }
+
+  // Chunk (1 2) of region (0 0)
+  const bounds = [new Vector(16, -64, 32), new Vector(32, 128, 48)];
+  // Enough distinct blocks for 6 bits per entry, some with properties
+  const palette = Array.from({ length: 34 }, (_, i) => (
+    i % 2 ? `log_${i}[axis=${["x", "y", "z"][i % 3]}]` : `block_${i}`
+  ));
+
+  // Fills a section with a pattern which depends on all three coordinates
+  function fillSection (blocks, sectionY) {
+    for (let x = 0; x < 16; x ++) {
+      for (let y = 0; y < 16; y ++) {
+        for (let z = 0; z < 16; z ++) {
+          blocks[x][sectionY * 16 + y][z] = palette[(x + y * 3 + z * 7) % palette.length];
+        }
+      }
+    }
+  }
+
+  test("round-trips a section with more than 16 palette entries", async function () {
+
+    const blocks = createBlocks();
+    fillSection(blocks, 5);
+    // A block on its own in another section, to catch mixed up sections
+    blocks[3][100][12] = "gold_block";
+
+    const region = await blocksToRegion(blocks, new Uint8Array(8192), 0, 0, bounds);
+    const read = createBlocks();
+    expect(await regionToBlocks(region, read, 0, 0, bounds)).not.toBeNull();
+
+    expect(read).toEqual(blocks);
+
+  });
+
+  test("round-trips a chunk which outgrows its sectors", async function () {
+
+    // Start out with a chunk which compresses to almost nothing
+    const simple = createBlocks();
+    let region = await blocksToRegion(simple, new Uint8Array(8192), 0, 0, bounds);
+    const sectors = region[(1 + 2 * 32) * 4 + 3];
+
+    // Then fill it with noise, so that it needs more sectors
+    const blocks = createBlocks();
+    let seed = 1;
+    for (let x = 0; x < 16; x ++) {
+      for (let y = 0; y < 192; y ++) {
+        for (let z = 0; z < 16; z ++) {
+          seed = (Math.imul(seed, 1103515245) + 12345) >>> 0;
+          blocks[x][y][z] = palette[(seed >>> 16) % palette.length];
+        }
+      }
+    }
+    region = await blocksToRegion(blocks, region, 0, 0, bounds);
+    expect(region[(1 + 2 * 32) * 4 + 3]).toBeGreaterThan(sectors);
+
+    const read = createBlocks();
+    expect(await regionToBlocks(region, read, 0, 0, bounds)).not.toBeNull();
+    expect(read).toEqual(blocks);
+
+  });
+
+});
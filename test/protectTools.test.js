@@ -0,0 +1,35 @@
+const { describe, test, expect, afterEach } = require("bun:test");
+const path = require("node:path");
+
+const { setProtectionRules, getProtectionReason } = require("../protectTools.js");
+
+describe("getProtectionReason", function () {
+
+  afterEach(function () {
+    setProtectionRules({});
+  });
+
+  test("matches patterns without a slash against the file name", function () {
+
+    setProtectionRules({ globs: ["*.pdf"] });
+
+    expect(getProtectionReason(path.resolve("/home/user/docs/report.pdf"))).toBe("it matches a protected pattern");
+    expect(getProtectionReason(path.resolve("/report.pdf"))).toBe("it matches a protected pattern");
+    expect(getProtectionReason(path.resolve("/home/user/docs/report.txt"))).toBeNull();
+    expect(getProtectionReason(path.resolve("/home/user/pdf/report.txt"))).toBeNull();
+
+  });
+
+  test("matches patterns with a slash against the full path", function () {
+
+    setProtectionRules({ globs: ["**/secret/**", "/srv/*.log"] });
+
+    expect(getProtectionReason(path.resolve("/home/user/secret/keys.txt"))).toBe("it matches a protected pattern");
+    expect(getProtectionReason(path.resolve("/srv/access.log"))).toBe("it matches a protected pattern");
+    expect(getProtectionReason(path.resolve("/home/user/public/keys.txt"))).toBeNull();
+    expect(getProtectionReason(path.resolve("/srv/logs/access.log"))).toBeNull();
+    expect(getProtectionReason(path.resolve("/var/srv/access.log"))).toBeNull();
+
+  });
+
+});
@@ -0,0 +1,155 @@
+const fs = require("node:fs");
+const path = require("node:path");
+const crypto = require("node:crypto");
+
+const { moveFile } = require("./fileTools.js");
+
+/**
+ * Reads the quarantine manifest of a trash directory. Each record
+ * in the manifest has the following format:
+ * {
+ *  id: string,
+ *  path: string,
+ *  size: number,
+ *  pos: [number, number, number],
+ *  block: string,
+ *  replacement: string,
+ *  time: number
+ * }
+ *
+ * @param {string} trashPath - Path to the world's trash directory
+ * @returns {Object[]} Array of manifest records
+ */
+function readManifest (trashPath) {
+  const manifestPath = path.join(trashPath, "manifest.json");
+  if (!fs.existsSync(manifestPath)) return [];
+  return JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+}
+
+// Writes the manifest to a temporary file first to avoid partial writes
+function writeManifest (trashPath, manifest) {
+  const manifestPath = path.join(trashPath, "manifest.json");
+  fs.writeFileSync(manifestPath + ".tmp", JSON.stringify(manifest, null, 2));
+  fs.renameSync(manifestPath + ".tmp", manifestPath);
+}
+
+/**
+ * Moves the file of a `mapping` entry into the trash directory,
+ * and records where it came from in the manifest.
+ *
+ * @param {string} trashPath - Path to the world's trash directory
+ * @param {Object} entry - `mapping` entry of the removed block
+ * @param {string} replacement - Block which replaced the mapped block
+ *
+ * @returns {Object} The new manifest record
+ */
+function quarantineFile (trashPath, entry, replacement) {
+
+  fs.mkdirSync(path.join(trashPath, "files"), { recursive: true });
+
+  const fullPath = entry.file.path;
+  const size = fs.lstatSync(fullPath).size;
+  const id = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`;
+
+  moveFile(fullPath, path.join(trashPath, "files", id));
+
+  const record = {
+    id,
+    path: fullPath,
+    size,
+    pos: entry.pos.toArray(),
+    block: entry.block,
+    replacement,
+    time: Date.now()
+  };
+
+  const manifest = readManifest(trashPath);
+  manifest.push(record);
+  writeManifest(trashPath, manifest);
+
+  return record;
+
+}
+
+/**
+ * Moves quarantined files back to their original paths. Files whose
+ * original path is occupied, or which fail to move, are left in the trash.
+ *
+ * @param {string} trashPath - Path to the world's trash directory
+ * @param {string[]} [filter=[]] - Only restore files within these paths
+ *
+ * @returns {{ restored: Object[], skipped: Object[], failed: { record: Object, error: Error }[] }}
+ *          Affected records, with the error of each failed restoration
+ */
+function restoreFiles (trashPath, filter = []) {
+
+  const filterPaths = filter.map(c => path.resolve(c));
+  const manifest = readManifest(trashPath);
+  const remaining = [], restored = [], skipped = [], failed = [];
+
+  for (const record of manifest) {
+
+    if (filterPaths.length > 0 && !filterPaths.some(c => (
+      record.path === c ||
+      record.path.startsWith(c + path.sep)
+    ))) {
+      remaining.push(record);
+      continue;
+    }
+
+    if (fs.existsSync(record.path)) {
+      remaining.push(record);
+      skipped.push(record);
+      continue;
+    }
+
+    try {
+      fs.mkdirSync(path.dirname(record.path), { recursive: true });
+      moveFile(path.join(trashPath, "files", record.id), record.path);
+      restored.push(record);
+    } catch (e) {
+      remaining.push(record);
+      failed.push({ record, error: e });
+    }
+
+  }
+
+  if (restored.length > 0) writeManifest(trashPath, remaining);
+  return { restored, skipped, failed };
+
+}
+
+/**
+ * Permanently deletes quarantined files.
+ *
+ * @param {string} trashPath - Path to the world's trash directory
+ * @param {number} [minAge=0] - Only purge files quarantined at least this many milliseconds ago
+ *
+ * @returns {Object[]} Records of purged files
+ */
+function purgeFiles (trashPath, minAge = 0) {
+
+  const manifest = readManifest(trashPath);
+  const remaining = [], purged = [];
+  const now = Date.now();
+
+  for (const record of manifest) {
+    if (now - record.time < minAge) {
+      remaining.push(record);
+      continue;
+    }
+    fs.rmSync(path.join(trashPath, "files", record.id), { force: true });
+    purged.push(record);
+  }
+
+  if (purged.length > 0) writeManifest(trashPath, remaining);
+  return purged;
+
+}
+
+module.exports = {
+  readManifest,
+  quarantineFile,
+  restoreFiles,
+  purgeFiles
+};
@@ -1,18 +1,44 @@
+const fs = require("node:fs");
 const path = require("node:path");
 
 const Vector = require("./Vector.js");
 const world = require("./parseWorld.js");
+const protectTools = require("./protectTools.js");
 
 /**
  * List of blocks mapped to files in the following format:
  * mapping[`${x},${y},${z}`] = {
  *  pos: Vector,
  *  file: string,
- *  block: string
+ *  block: string,
+ *  unsynced?: boolean
  * };
+ *
+ * Entries flagged as unsynced have been written to the world while it
+ * was running, and haven't been seen in it since.
  */
 const mapping = {};
 
+// Source of random numbers for terrain generation, see `setSeed`
+let random = Math.random;
+
+/**
+ * Seeds the pseudo-random number generator used for generating terrain.
+ * Given the same file list and seed, the same terrain is generated.
+ *
+ * @param {number} seed - Unsigned 32-bit integer seed
+ */
+function setSeed (seed) {
+  // Mulberry32, small and fast enough to call for every block
+  let state = seed >>> 0;
+  random = function () {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = Math.imul(state ^ (state >>> 15), state | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
 // Absolute world boundaries (min/max vectors)
 // Blocks will not generate past this
 const WORLD_BOUNDS = [
@@ -25,12 +51,80 @@ let terrainBounds = [
   new Vector(0, 0, 0)
 ];
 
+/**
+ * Default palette of file types to block materials. Patterns starting
+ * with a dot match file extensions, patterns without a slash match
+ * file names, and all other patterns match full paths. Files which
+ * match no pattern become natural terrain.
+ */
+const DEFAULT_MATERIALS = {
+  "**/bin/*": "obsidian",
+  "*.{exe,dll,so,msi,appimage,bat,cmd,sh}": "obsidian",
+  "*.{png,jpg,jpeg,gif,bmp,webp,svg,ico,tif,tiff}": "terracotta",
+  "*.{zip,tar,gz,tgz,xz,bz2,zst,7z,rar,jar,deb,rpm}": "barrel",
+  "*.{js,ts,c,h,cc,cpp,hpp,cs,java,py,rs,go,rb,lua,php,swift,kt}": "bricks"
+};
+
+// Compiled material palette, see `setMaterialPalette`
+let materialPalette = [];
+// Set of all blocks that files can be mapped to by the material palette
+let paletteBlocks = new Set();
+
+/**
+ * Sets the palette used to pick block materials for files. Patterns
+ * are checked in order, with the given configuration taking precedence
+ * over the default palette.
+ *
+ * @param {Object} [config={}] - Map of file patterns to block names
+ */
+function setMaterialPalette (config = {}) {
+
+  const entries = Object.entries(config);
+  for (const pattern in DEFAULT_MATERIALS) {
+    if (pattern in config) continue;
+    entries.push([pattern, DEFAULT_MATERIALS[pattern]]);
+  }
+
+  materialPalette = entries.map(([pattern, block]) => ({
+    extension: /^\.[^*?{}/\\]+$/.test(pattern) ? pattern.toLowerCase() : null,
+    glob: new Bun.Glob(pattern),
+    fullPath: pattern.includes("/"),
+    block
+  }));
+  paletteBlocks = new Set(entries.map(c => c[1]));
+
+}
+setMaterialPalette();
+
+// Block used for files which are protected from removal
+const PROTECTED_MATERIAL = "bedrock";
+
+// Returns the block material for a file according to the palette
+function getFileMaterial (file) {
+  if (protectTools.getProtectionReason(file.path)) return PROTECTED_MATERIAL;
+  const name = path.basename(file.path);
+  const fullPath = file.path.replaceAll(path.sep, "/");
+  for (const entry of materialPalette) {
+    if (entry.extension) {
+      if (name.toLowerCase().endsWith(entry.extension)) return entry.block;
+      continue;
+    }
+    const target = entry.fullPath ? fullPath : name;
+    if (entry.glob.match(target) || entry.glob.match(target.toLowerCase())) {
+      return entry.block;
+    }
+  }
+  return "grass_block";
+}
+
 // Whether the block is part of natural ground terrain
 function isGroundBlock (block) {
   return (
     block === "dirt" ||
     block === "grass_block" ||
-    block === "stone"
+    block === "stone" ||
+    block === PROTECTED_MATERIAL ||
+    paletteBlocks.has(block)
   );
 }
 
@@ -54,12 +148,20 @@ const debugPalette = [ "red_wool", "orange_wool", "yellow_wool", "lime_wool", "c
 /**
  * Iterates over all 62 blocks that make up a tree, running a callback
  * function for each one. This callback is provided an absolute position,
- * and the respective block name as a string.
+ * and the respective block state as a string.
+ *
+ * Leaves are marked as persistent to keep them from decaying, and are
+ * given their distance from the trunk.
  *
  * @param {Vector} pos - Tree base position (absolute)
  * @param {function} callback - Function to call for each block
  */
 function forTreeBlocks (pos, callback) {
+  const leaves = distance => world.formatBlockState("oak_leaves", {
+    distance,
+    persistent: "true",
+    waterlogged: "false"
+  });
   // Tree stump
   for (let i = 0; i < 5; i ++) {
     callback(pos.add(0, i, 0), "oak_log");
@@ -70,7 +172,7 @@ function forTreeBlocks (pos, callback) {
       for (let k = -2; k <= 2; k ++) {
         if (j === 0 && k === 0) continue;
         if (i === 1 && Math.abs(j) === 2 && Math.abs(k) === 2) continue;
-        callback(pos.add(j, i + 2, k), "oak_leaves");
+        callback(pos.add(j, i + 2, k), leaves(Math.abs(j) + Math.abs(k)));
       }
     }
   }
@@ -80,10 +182,25 @@ function forTreeBlocks (pos, callback) {
       for (let k = -1; k <= 1; k ++) {
         if (i === 0 && j === 0 && k === 0) continue;
         if (i === 1 && j !== 0 && k !== 0) continue;
-        callback(pos.add(j, i + 4, k), "oak_leaves");
+        callback(pos.add(j, i + 4, k), leaves(Math.abs(j) + Math.abs(k) + i));
+      }
+    }
+  }
+}
+
+// Creates a chunk-sized block array of the given height, filled with air
+function createBlockArray (height) {
+  const blocks = [];
+  for (let x = 0; x < 16; x ++) {
+    blocks[x] = [];
+    for (let y = 0; y < height; y ++) {
+      blocks[x][y] = [];
+      for (let z = 0; z < 16; z ++) {
+        blocks[x][y][z] = "air";
       }
     }
   }
+  return blocks;
 }
 
 /**
@@ -123,17 +240,7 @@ async function iterateMappedChunks (callback) {
     break;
   }
 
-  const blocks = [];
-  for (let x = 0; x < 16; x ++) {
-    blocks[x] = [];
-    for (let y = 0; y < 128 + 64; y ++) {
-      blocks[x][y] = [];
-      for (let z = 0; z < 16; z ++) {
-        blocks[x][y][z] = "air";
-      }
-    }
-  }
-
+  const blocks = createBlockArray(128 + 64);
 
   let validEntries = Object.keys(mapping).length;
   const entries = [];
@@ -164,6 +271,48 @@ async function iterateMappedChunks (callback) {
 
 }
 
+/**
+ * Iterates over chunks without any blocks present in `mapping`, which
+ * border chunks that do have some. Works like `forMappedChunks`, but
+ * the callback is always provided an empty array of entries.
+ *
+ * @param {function} callback - The function to call (and await) on each chunk
+ * @param {number|null} [rx=null] - Restrict to region (disabled by default)
+ * @param {number|null} [rz=null] - Restrict to region (disabled by default)
+ */
+async function forBorderChunks (callback, rx = null, rz = null) {
+
+  const mappedChunks = new Set();
+  for (const key in mapping) {
+    const { pos } = mapping[key];
+    mappedChunks.add(`${Math.floor(pos.x / 16)},${Math.floor(pos.z / 16)}`);
+  }
+
+  const borderChunks = new Set();
+  for (const key of mappedChunks) {
+    const [_x, _z] = key.split(",").map(c => Number(c));
+    for (const [dx, dz] of [[-1, 0], [1, 0], [0, -1], [0, 1]]) {
+      const borderKey = `${_x + dx},${_z + dz}`;
+      if (mappedChunks.has(borderKey)) continue;
+      if (rx !== null && rz !== null) {
+        if (Math.floor((_x + dx) / 32) !== rx) continue;
+        if (Math.floor((_z + dz) / 32) !== rz) continue;
+      }
+      borderChunks.add(borderKey);
+    }
+  }
+
+  for (const key of borderChunks) {
+    const [_x, _z] = key.split(",").map(c => Number(c));
+    const bounds = [
+      new Vector(_x * 16, -64, _z * 16),
+      new Vector(_x * 16 + 16, 128, _z * 16 + 16),
+    ];
+    await callback(createBlockArray(128 + 64), [], _x, _z, bounds);
+  }
+
+}
+
 // Returns number of allocated blocks adjacent to the given position
 function countAdjacent (pos) {
   let adjacent = 0;
@@ -173,6 +322,213 @@ function countAdjacent (pos) {
   return adjacent;
 };
 
+/**
+ * Maps a file to a free position on top of or beside terrain belonging
+ * to the same directory, falling back to terrain of the same group.
+ * Only positions within chunks that already contain terrain are used.
+ *
+ * @param {MappedFile} file - File to allocate a block for
+ * @param {number} parentDepth - Depth of first significant parent path
+ *
+ * @returns {Object|null} New `mapping` entry, or null if there's no space
+ */
+function allocateFileBlock (file, parentDepth) {
+
+  const dir = path.dirname(file.path);
+  const shortParent = file.getShortParent(parentDepth);
+
+  // Find terrain of the same directory first, and the same group second
+  const dirEntries = [], groupEntries = [];
+  for (const key in mapping) {
+    const entry = mapping[key];
+    if (path.dirname(entry.file.path) === dir) {
+      dirEntries.push(entry);
+    } else if (entry.file.getShortParent(parentDepth) === shortParent) {
+      groupEntries.push(entry);
+    }
+  }
+
+  // Prefer stacking on top of terrain, then extending it sideways
+  for (const entry of dirEntries.concat(groupEntries)) {
+    for (const i of [4, 0, 1, 2, 3]) {
+
+      const pos = entry.pos.shifted(i);
+      const key = pos.toString();
+
+      if (key in mapping || pos.y >= 127) continue;
+      if (Math.floor(pos.x / 16) !== Math.floor(entry.pos.x / 16)) continue;
+      if (Math.floor(pos.z / 16) !== Math.floor(entry.pos.z / 16)) continue;
+      // Don't leave blocks floating next to terrain
+      if (i !== 4 && !(pos.add(0, -1, 0).toString() in mapping)) continue;
+
+      mapping[key] = { pos, file, block: getFileMaterial(file) };
+      return mapping[key];
+
+    }
+  }
+
+  return null;
+
+}
+
+// Size of region file sectors, in bytes
+const SECTOR_SIZE = 4096;
+
+/**
+ * Writes individual block changes to region files on disk, leaving the
+ * rest of each affected chunk as it currently is in the world.
+ *
+ * This is meant to be safe while the game is running, which keeps region
+ * files open, and remembers where in them each chunk is stored. Chunks
+ * are therefore only rewritten within the sectors they already occupy,
+ * and the rest of the region file is left untouched.
+ *
+ * @param {string} worldPath - Path to world data directory
+ * @param {{ pos: Vector, block: string }[]} changes - Blocks to set
+ *
+ * @returns {Object[]} Changes which were skipped, either because their
+ *                     chunk is missing, because the chunk would no longer
+ *                     fit in its sectors, or because something other than
+ *                     air is in the way of a placed block
+ */
+async function writeChunkChanges (worldPath, changes) {
+
+  // Group changes by chunk
+  const chunks = {};
+  for (const change of changes) {
+    const key = `${Math.floor(change.pos.x / 16)},${Math.floor(change.pos.z / 16)}`;
+    if (!(key in chunks)) chunks[key] = [];
+    chunks[key].push(change);
+  }
+
+  const skipped = [];
+
+  for (const key in chunks) {
+
+    const [_x, _z] = key.split(",").map(c => Number(c));
+    const rx = Math.floor(_x / 32);
+    const rz = Math.floor(_z / 32);
+
+    const regionDir = `${worldPath}/region`;
+    const mcaFile = `r.${rx}.${rz}.mca`;
+    const regionPath = `${regionDir}/${mcaFile}`;
+    if (!fs.existsSync(regionPath)) {
+      skipped.push(...chunks[key]);
+      continue;
+    }
+
+    // Load the entire height of the chunk to avoid erasing anything
+    const bounds = [
+      new Vector(_x * 16, -64, _z * 16),
+      new Vector(_x * 16 + 16, 320, _z * 16 + 16)
+    ];
+    const blocks = createBlockArray(320 + 64);
+
+    const bytes = await Bun.file(regionPath).bytes();
+    if (await world.regionToBlocks(bytes, blocks, rx, rz, bounds, null, regionDir) === null) {
+      skipped.push(...chunks[key]);
+      continue;
+    }
+
+    const applied = [];
+    for (const change of chunks[key]) {
+      const [x, y, z] = change.pos.relative(_x, _z).toArray();
+      if (!isAir(change.block) && !isAir(blocks[x][y][z])) {
+        skipped.push(change);
+        continue;
+      }
+      blocks[x][y][z] = change.block;
+      applied.push(change);
+    }
+    if (applied.length === 0) continue;
+
+    // Encode a copy, leaving the original to compare against
+    const i = (_x - rx * 32) + (_z - rz * 32) * 32;
+    const newBytes = await world.blocksToRegion(blocks, bytes.slice(), rx, rz, bounds, regionDir);
+
+    const location = bytes.subarray(i * 4, i * 4 + 4);
+    if (
+      newBytes.length !== bytes.length ||
+      newBytes.subarray(i * 4, i * 4 + 4).some((c, j) => c !== location[j])
+    ) {
+      console.warn(`Warning: Chunk (${_x} ${_z}) has outgrown its space in ${mcaFile}, skipping changes`);
+      skipped.push(...applied);
+      continue;
+    }
+
+    // Write just this chunk's sectors and timestamp back in place
+    const offset = (location[0] << 16) + (location[1] << 8) + location[2];
+    const start = offset * SECTOR_SIZE;
+    const length = location[3] * SECTOR_SIZE;
+    const fd = fs.openSync(regionPath, "r+");
+    try {
+      fs.writeSync(fd, newBytes, start, length, start);
+      fs.writeSync(fd, newBytes, SECTOR_SIZE + i * 4, 4, SECTOR_SIZE + i * 4);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    world.regionFileCache[mcaFile] = { bytes: newBytes, checksum: Bun.hash(newBytes) };
+
+  }
+
+  return skipped;
+
+}
+
+// Returns the block mapped to the given absolute position, or air
+function getMappedBlock (x, y, z) {
+  return mapping[`${x},${y},${z}`]?.block || "air";
+}
+
+// Block used for signs naming terrain groups
+const SIGN_BLOCK = "oak_sign[rotation=0,waterlogged=false]";
+
+/**
+ * Finds the chunk containing the highest point of each terrain group,
+ * where the sign naming its directory should go.
+ *
+ * @param {number} parentDepth - Depth of first significant parent path
+ * @returns {Map<string, Object[]>} Groups (parent path and file count) by chunk coordinates
+ */
+function findSignChunks (parentDepth) {
+
+  const groups = {};
+  for (const key in mapping) {
+    const entry = mapping[key];
+    const parent = entry.file.getShortParent(parentDepth);
+    if (!(parent in groups)) groups[parent] = { parent, files: 0, top: null };
+    const group = groups[parent];
+    group.files ++;
+    if (!isGroundBlock(entry.block)) continue;
+    if (!group.top || entry.pos.y > group.top.y) group.top = entry.pos;
+  }
+
+  const chunks = new Map();
+  for (const parent in groups) {
+    const group = groups[parent];
+    if (!group.top) continue;
+    const chunkKey = `${Math.floor(group.top.x / 16)},${Math.floor(group.top.z / 16)}`;
+    if (!chunks.has(chunkKey)) chunks.set(chunkKey, []);
+    chunks.get(chunkKey).push(group);
+  }
+  return chunks;
+
+}
+
+// Splits a directory path and file count into lines of sign text
+function getSignLines (parent, files) {
+  const maxLength = 15 * 3;
+  let text = parent.length > maxLength ? "..." + parent.slice(3 - maxLength) : parent;
+  const lines = [];
+  while (text.length > 0) {
+    lines.push(text.slice(0, 15));
+    text = text.slice(15);
+  }
+  lines[3] = `${files} file${files === 1 ? "" : "s"}`;
+  return lines;
+}
+
 /**
  * Generates terrain based on an input file list, and writes region data.
  * The resulting block-file mapping gets stored in `mapping`.
@@ -181,8 +537,12 @@ function countAdjacent (pos) {
  * @param {number} parentDepth - Depth of first significant parent path
  * @param {string} worldPath - Path to world data directory
  * @param {boolean} [debug=false] - Whether to use the debug palette
+ * @param {boolean} [signs=true] - Whether to label terrain groups with signs
  */
-async function buildRegionData (fileList, parentDepth, worldPath, debug = false) {
+async function buildRegionData (fileList, parentDepth, worldPath, debug = false, signs = true) {
+
+  // Match the data version of chunks created from scratch to the world
+  await world.readDataVersion(worldPath);
 
   // Open node list - `mapping` functions as the closed node list
   let nodes = [new Vector(0, 32, 0)];
@@ -217,9 +577,9 @@ async function buildRegionData (fileList, parentDepth, worldPath, debug = false)
       if (nodes.length === 0) {
         const rand = new Vector();
         do {
-          rand.x = Math.floor(Math.random() * (maxs.x - mins.x)) + mins.x;
-          rand.z = Math.floor(Math.random() * (maxs.z - mins.z)) + mins.z;
-          rand.y = Math.floor(Math.random() * 64);
+          rand.x = Math.floor(random() * (maxs.x - mins.x)) + mins.x;
+          rand.z = Math.floor(random() * (maxs.z - mins.z)) + mins.z;
+          rand.y = Math.floor(random() * 64);
         } while (rand.toString() in mapping);
         nodes.push(rand);
       }
@@ -228,8 +588,8 @@ async function buildRegionData (fileList, parentDepth, worldPath, debug = false)
 
     suppressFor --;
     if (suppressFor <= 0) {
-      suppressFor = Math.floor(Math.random() * nodes.length / 5);
-      suppressDirection = Math.floor(Math.random() * 4);
+      suppressFor = Math.floor(random() * nodes.length / 5);
+      suppressDirection = Math.floor(random() * 4);
     }
 
     const file = fileList.shift();
@@ -256,6 +616,7 @@ async function buildRegionData (fileList, parentDepth, worldPath, debug = false)
           const curr = fillNodes.shift();
           const key = curr.toString();
           if (!(key in mapping)) continue;
+          if (mapping[key].block === PROTECTED_MATERIAL) continue;
 
           if (trees.find(c => (
             Math.abs(c.pos.x - curr.x) < 3 &&
@@ -281,13 +642,13 @@ async function buildRegionData (fileList, parentDepth, worldPath, debug = false)
           mapping[key].block = "water";
 
           for (let i = 0; i < 4; i ++) {
-            if (neighbors < 3 && Math.random() < 0.1) continue;
+            if (neighbors < 3 && random() < 0.1) continue;
             fillNodes.push(curr.shifted(i));
           }
-          if (curr.y < 127 && Math.random() < 0.05) fillNodes.push(curr.add(0, 1, 0));
-          if (curr.y > -64 && Math.random() < 0.05) fillNodes.push(curr.add(0, -1, 0));
+          if (curr.y < 127 && random() < 0.05) fillNodes.push(curr.add(0, 1, 0));
+          if (curr.y > -64 && random() < 0.05) fillNodes.push(curr.add(0, -1, 0));
 
-        } while (Math.floor(Math.random() * 2000) !== 0 && fillNodes.length > 0);
+        } while (Math.floor(random() * 2000) !== 0 && fillNodes.length > 0);
 
       }
       ponds = [];
@@ -323,7 +684,7 @@ async function buildRegionData (fileList, parentDepth, worldPath, debug = false)
     if (debug) {
       block = debugPalette[terrainGroup % debugPalette.length];
     } else {
-      block = "grass_block";
+      block = getFileMaterial(file);
     }
     mapping[key] = { pos, file, block };
 
@@ -343,15 +704,17 @@ async function buildRegionData (fileList, parentDepth, worldPath, debug = false)
       if (adjacent < 3 && suppressDirection === i) continue;
       nodes.push(pos.shifted(i));
     }
-    if (pos.y < 127 && Math.random() < 0.05) nodes.push(pos.add(0, 1, 0));
-    if (pos.y > -64 && Math.random() < 0.05) nodes.push(pos.add(0, -1, 0));
+    if (pos.y < 127 && random() < 0.05) nodes.push(pos.add(0, 1, 0));
+    if (pos.y > -64 && random() < 0.05) nodes.push(pos.add(0, -1, 0));
 
-    if (Math.floor(Math.random() * 10000) === 0) {
+    if (Math.floor(random() * 10000) === 0) {
       ponds.push(pos.clone());
     }
 
-    if (Math.floor(Math.random() * 5000) === 0) {
+    if (Math.floor(random() * 5000) === 0) {
       if (fileList.length < 62) continue;
+      // Protected files have to keep their material
+      if (fileList.slice(0, 62).some(c => getFileMaterial(c) === PROTECTED_MATERIAL)) continue;
       if (trees.find(c => (
         Math.abs(c.pos.x - pos.x) < 5 &&
         Math.abs(c.pos.z - pos.z) < 5
@@ -365,6 +728,33 @@ async function buildRegionData (fileList, parentDepth, worldPath, debug = false)
 
   }
 
+  // Pick chunks for labeling terrain groups before blocks get shuffled around
+  const signChunks = signs ? findSignChunks(parentDepth) : new Map();
+
+  // Use backup path to load initial region data, effectively starting fresh
+  const backupWorldPath = path.resolve(worldPath) + "_SaplingFS_backup";
+
+  // Blocks never leave their chunk from here on, so a chunk's blocks are
+  // final once it has been processed. Lighting reads blocks across chunk
+  // borders, so region data is only written once all neighbors are final.
+  const mappedChunks = new Set();
+  for (const key in mapping) {
+    const { pos } = mapping[key];
+    mappedChunks.add(`${Math.floor(pos.x / 16)},${Math.floor(pos.z / 16)}`);
+  }
+  const finalChunks = new Set();
+  const unwrittenChunks = new Map();
+
+  const isChunkLightable = function (_x, _z) {
+    for (let dx = -1; dx <= 1; dx ++) {
+      for (let dz = -1; dz <= 1; dz ++) {
+        const key = `${_x + dx},${_z + dz}`;
+        if (mappedChunks.has(key) && !finalChunks.has(key)) return false;
+      }
+    }
+    return true;
+  };
+
   // Second pass - make it look "Minecraft-ier" and generate region data
   await forMappedChunks(async function (blocks, entries, _x, _z, bounds) {
 
@@ -416,8 +806,8 @@ async function buildRegionData (fileList, parentDepth, worldPath, debug = false)
 
         // If no progress was made, restore previous mapping entry
         if (bestAdjacent === adjacent) {
-          // Convert 1-block stubs to short grass
-          if (adjacent === 1) {
+          // Convert 1-block grass stubs to short grass
+          if (adjacent === 1 && entry.block === "grass_block") {
             const blockBelow = mapping[pos.add(0, -1, 0).toString()]?.block;
             if (blockBelow === "grass_block") entry.block = "short_grass";
           }
@@ -461,18 +851,18 @@ async function buildRegionData (fileList, parentDepth, worldPath, debug = false)
           break;
         }
       }
-      if (waterAdjacent >= 5) entry.block = "water";
+      if (waterAdjacent >= 5 && entry.block !== PROTECTED_MATERIAL) entry.block = "water";
       // Assign block to chunk array
       const [x, y, z] = entry.pos.relative(_x, _z).toArray();
       blocks[x][y][z] = entry.block;
     }
 
     // Insert ore veins
-    const veinCount = Math.floor(Math.random() * entries.length / 250);
+    const veinCount = Math.floor(random() * entries.length / 250);
     for (let i = 0; i < veinCount; i ++) {
 
-      let curr = entries[Math.floor(Math.random() * entries.length)];
-      const r = Math.random();
+      let curr = entries[Math.floor(random() * entries.length)];
+      const r = random();
 
       let ore;
       if (r < 0.1) ore = { name: "diamond_ore", size: 0.5 };
@@ -490,7 +880,7 @@ async function buildRegionData (fileList, parentDepth, worldPath, debug = false)
           blocks[x][y][z] = curr.block;
         }
 
-        const nextPos = curr.pos.shifted(Math.floor(Math.random() * 6));
+        const nextPos = curr.pos.shifted(Math.floor(random() * 6));
         const nextPosRelative = nextPos.relative(_x, _z);
         if (
           nextPosRelative.x < 0 || nextPosRelative.x >= 16 ||
@@ -501,15 +891,44 @@ async function buildRegionData (fileList, parentDepth, worldPath, debug = false)
         curr = mapping[nextPos.toString()];
         if (!curr) break;
 
-      } while (Math.random() < ore.size);
+      } while (random() < ore.size);
 
     }
 
-    // Use backup path to load initial region data, effectively starting fresh
-    const backupWorldPath = path.resolve(worldPath) + "_SaplingFS_backup";
-    await world.forRegion(backupWorldPath, async function (region, rx, rz) {
-      await world.blocksToRegion(blocks, region.bytes, rx, rz, bounds);
-    }, bounds);
+    // Place signs on top of the highest uncovered ground block of each group
+    const blockEntities = [];
+    for (const group of signChunks.get(`${_x},${_z}`) || []) {
+      let top = null;
+      for (const entry of entries) {
+        if (!isGroundBlock(entry.block)) continue;
+        if (entry.file.getShortParent(parentDepth) !== group.parent) continue;
+        if (top && entry.pos.y <= top.pos.y) continue;
+        const [x, y, z] = entry.pos.relative(_x, _z).toArray();
+        if (y + 1 >= blocks[x].length || blocks[x][y + 1][z] !== "air") continue;
+        top = entry;
+      }
+      if (!top) continue;
+      const pos = top.pos.add(0, 1, 0);
+      const [x, y, z] = pos.relative(_x, _z).toArray();
+      blocks[x][y][z] = SIGN_BLOCK;
+      blockEntities.push(world.createSignEntity(pos, getSignLines(group.parent, group.files)));
+    }
+
+    finalChunks.add(`${_x},${_z}`);
+    unwrittenChunks.set(`${_x},${_z}`, { blocks, bounds, blockEntities });
+
+    // Write this chunk and any neighbors which were waiting on it
+    for (let dx = -1; dx <= 1; dx ++) {
+      for (let dz = -1; dz <= 1; dz ++) {
+        const key = `${_x + dx},${_z + dz}`;
+        const chunk = unwrittenChunks.get(key);
+        if (!chunk || !isChunkLightable(_x + dx, _z + dz)) continue;
+        unwrittenChunks.delete(key);
+        await world.forRegion(backupWorldPath, async function (region, rx, rz) {
+          region.bytes = await world.blocksToRegion(chunk.blocks, region.bytes, rx, rz, chunk.bounds, `${worldPath}/region`, chunk.blockEntities, getMappedBlock);
+        }, chunk.bounds);
+      }
+    }
 
   });
 
@@ -527,7 +946,12 @@ async function buildRegionData (fileList, parentDepth, worldPath, debug = false)
 
 module.exports = {
   mapping,
+  setSeed,
+  setMaterialPalette,
   buildRegionData,
+  allocateFileBlock,
+  writeChunkChanges,
   forMappedChunks,
+  forBorderChunks,
   terrainBounds
 };